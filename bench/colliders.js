@@ -0,0 +1,73 @@
+// colliders.js
+// Brute-force collider scan vs Terrain.queryColliders at ~500 rooms.
+// Serve the repo root and open bench/colliders.html. ?rooms=<n>&agents=<n>&frames=<n> override the defaults
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.118/build/three.module.js';
+import { Terrain } from '../js/Terrain.js';
+import { SeededRandom } from '../js/Random.js';
+import { moveCircle } from '../js/Collision.js';
+import { AssetCache } from '../js/AssetCache.js';
+
+const query = new URLSearchParams(window.location.search);
+const TARGET_ROOMS = Number(query.get('rooms')) || 500;
+const AGENTS = Number(query.get('agents')) || 10;   // player plus enemies
+const FRAMES = Number(query.get('frames')) || 600;
+const RADIUS = 8;
+const STEP = 40 / 60;  // run speed over one 60 Hz step
+const CHUNK_ROOMS = 2;
+
+function run() {
+    // Loaded area is (2 * viewChunks + 1)^2 chunks; pick the radius closest to TARGET_ROOMS
+    const roomsAt = (r) => (2 * r + 1) * (2 * r + 1) * CHUNK_ROOMS * CHUNK_ROOMS;
+    let viewChunks = 0;
+    while (Math.abs(roomsAt(viewChunks + 1) - TARGET_ROOMS) < Math.abs(roomsAt(viewChunks) - TARGET_ROOMS)) viewChunks++;
+    // Terrain asks for textures relative to the page, which lives in bench/; resolve them from the repo root
+    const assets = new AssetCache();
+    const root = new URL('../', import.meta.url);
+    assets.manager.setURLModifier(url => new URL(url, root).href);
+    const terrain = new Terrain(new THREE.Scene(), { seed: 1, chunkRooms: CHUNK_ROOMS, viewChunks, assets });
+    const rooms = terrain.getRoomsFull();
+    const colliders = terrain.getColliders();
+
+    // Agents wander on a fixed pseudo-random walk so both runs see identical inputs
+    const rng = new SeededRandom(7);
+    const size = terrain.getRoomSize();
+    const samples = [];
+    for (let f = 0; f < FRAMES; f++) {
+        for (let a = 0; a < AGENTS; a++) {
+            const room = rng.pick(rooms);
+            const angle = rng.range(0, Math.PI * 2);
+            samples.push([
+                room.cx + rng.range(-0.5, 0.5) * size, room.cz + rng.range(-0.5, 0.5) * size,
+                Math.cos(angle) * STEP, Math.sin(angle) * STEP,
+            ]);
+        }
+    }
+
+    // Same swept move the controllers run, once against the full list and once through the index
+    const bench = (source) => {
+        let checksum = 0;
+        const t0 = performance.now();
+        for (const [x, z, dx, dz] of samples) {
+            const moved = moveCircle(x, z, dx, dz, RADIUS, source);
+            checksum += moved.x + moved.z;
+        }
+        return { ms: performance.now() - t0, checksum };
+    };
+
+    const brute = bench(colliders);
+    const grid = bench((minX, maxX, minZ, maxZ, out) => terrain.queryColliders(minX, maxX, minZ, maxZ, out));
+
+    const perFrame = (ms) => (ms / FRAMES).toFixed(4);
+    return [
+        `rooms            ${rooms.length}`,
+        `colliders        ${colliders.length}`,
+        `agents x frames  ${AGENTS} x ${FRAMES}`,
+        '',
+        `brute force      ${brute.ms.toFixed(1)} ms total, ${perFrame(brute.ms)} ms/frame`,
+        `spatial grid     ${grid.ms.toFixed(1)} ms total, ${perFrame(grid.ms)} ms/frame`,
+        `speedup          ${(brute.ms / Math.max(grid.ms, 1e-6)).toFixed(1)}x`,
+        `results match    ${Math.abs(brute.checksum - grid.checksum) < 1e-6 ? 'yes' : 'NO'}`,
+    ].join('\n');
+}
+
+document.getElementById('out').textContent = run();
@@ -0,0 +1,139 @@
+// AssetCache.js
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.118/build/three.module.js';
+import { FBXLoader } from 'https://cdn.jsdelivr.net/npm/three@0.118.1/examples/jsm/loaders/FBXLoader.js';
+import { SkeletonUtils } from 'https://cdn.jsdelivr.net/npm/three@0.118.1/examples/jsm/utils/SkeletonUtils.js';
+
+/**
+ * Loads each texture and FBX file once per session and hands out shared or
+ * cloned results, so restarting a run does not download anything again.
+ * Cached assets outlive the runs that use them; callers must not dispose them.
+ *
+ * Every load goes through one THREE.LoadingManager, which drives onProgress.
+ * A required file that fails is reported once through onError and its promise
+ * resolves to null, so callers only check for null. Optional files only warn
+ */
+class AssetCache {
+    constructor() {
+        // (url, itemsLoaded, itemsTotal) => void
+        this.onProgress = null;
+        // (url, error) => void, required files only
+        this.onError = null;
+
+        this._manager = new THREE.LoadingManager();
+        this._manager.onProgress = (url, loaded, total) => this.onProgress && this.onProgress(url, loaded, total);
+
+        this._textures = new Map();  // url -> { texture, ready: Promise<boolean> }
+        this._fbx = new Map();       // url -> Promise<THREE.Group>
+        this._json = new Map();      // url -> Promise<object|null>
+        this._audio = new Map();     // url -> Promise<AudioBuffer|null>
+        this._failed = new Set();    // urls already reported
+        this._textureLoader = new THREE.TextureLoader(this._manager);
+        this._fbxLoader = new FBXLoader(this._manager);
+        this._fileLoader = new THREE.FileLoader(this._manager);
+        this._binaryLoader = new THREE.FileLoader(this._manager).setResponseType('arraybuffer');
+    }
+
+    get manager() { return this._manager; }
+
+    _fail(url, err, optional) {
+        if (optional) {
+            console.warn(`Optional asset ${url} failed to load`, err);
+            return;
+        }
+        if (this._failed.has(url)) return;
+        this._failed.add(url);
+        console.error(`Asset ${url} failed to load`, err);
+        if (this.onError) this.onError(url, err);
+    }
+
+    _loadTexture(url) {
+        let entry = this._textures.get(url);
+        if (!entry) {
+            let texture;
+            const ready = new Promise((resolve) => {
+                texture = this._textureLoader.load(url, () => resolve(true), undefined, (err) => {
+                    this._fail(url, err, false);
+                    resolve(false);
+                });
+            });
+            entry = { texture, ready };
+            this._textures.set(url, entry);
+        }
+        return entry;
+    }
+
+    // Shared texture. Returned right away and filled in when the image arrives, like TextureLoader.load
+    texture(url) {
+        return this._loadTexture(url).texture;
+    }
+
+    // Source FBX scene, loaded once. Failed loads are forgotten so a later call can retry
+    _loadFBX(url) {
+        let pending = this._fbx.get(url);
+        if (!pending) {
+            pending = new Promise((resolve, reject) => this._fbxLoader.load(url, resolve, undefined, reject));
+            pending.catch(() => this._fbx.delete(url));
+            this._fbx.set(url, pending);
+        }
+        return pending;
+    }
+
+    /** Independent copy of a rigged model, safe to add to the scene and animate. null on failure */
+    model(url, optional = false) {
+        return this._loadFBX(url).then(
+            fbx => SkeletonUtils.clone(fbx),
+            err => { this._fail(url, err, optional); return null; });
+    }
+
+    /** First animation clip in an FBX file, shared. Clone it before editing its tracks. null on failure */
+    clip(url, optional = false) {
+        return this._loadFBX(url).then(fbx => {
+            const clip = fbx.animations && fbx.animations[0];
+            if (!clip) throw new Error(`No animation in ${url}`);
+            return clip;
+        }).catch(err => { this._fail(url, err, optional); return null; });
+    }
+
+    /** Parsed JSON file, shared: treat it as read-only. null on failure, including invalid JSON */
+    json(url) {
+        let pending = this._json.get(url);
+        if (!pending) {
+            pending = new Promise((resolve, reject) => this._fileLoader.load(url, resolve, undefined, reject))
+                .then(text => JSON.parse(text))
+                .catch(err => { this._fail(url, err, false); return null; });
+            this._json.set(url, pending);
+        }
+        return pending;
+    }
+
+    /**
+     * Decoded sound file, shared. null on failure, including data the browser cannot decode.
+     * Decodes here rather than through AudioLoader, which never settles on a decode error
+     */
+    audio(url, optional = false) {
+        let pending = this._audio.get(url);
+        if (!pending) {
+            pending = new Promise((resolve, reject) => this._binaryLoader.load(url, resolve, undefined, reject))
+                .then(data => THREE.AudioContext.getContext().decodeAudioData(data.slice(0)))
+                .catch(err => { this._fail(url, err, optional); return null; });
+            this._audio.set(url, pending);
+        }
+        return pending;
+    }
+
+    /**
+     * Load a list of required files ahead of time
+     * @param {{textures?: string[], fbx?: string[]}} list
+     * @returns {Promise<boolean>} true when every file loaded
+     */
+    preload(list) {
+        const loads = [];
+        for (const url of list.textures || []) loads.push(this._loadTexture(url).ready);
+        for (const url of list.fbx || []) {
+            loads.push(this._loadFBX(url).then(() => true, err => { this._fail(url, err, false); return false; }));
+        }
+        return Promise.all(loads).then(results => results.every(Boolean));
+    }
+}
+
+export { AssetCache };
@@ -0,0 +1,318 @@
+// AudioManager.js
+// Game sound: one THREE.AudioListener on the camera and two channels, ambience and
+// effects, under a master volume. Every sound has a procedural placeholder; a file in
+// resources/audio/ replaces it when present
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.118/build/three.module.js';
+import { AssetCache } from './AssetCache.js';
+import { synthesize } from './ProceduralSounds.js';
+import { hasLineOfSight } from './Perception.js';
+
+const AUDIO_PATH = './resources/audio/';
+
+// Sound name -> channel and the file that replaces the placeholder
+const SOUNDS = {
+    hum: { channel: 'ambience', file: 'hum.ogg' },
+    portal: { channel: 'ambience', file: 'portal.ogg' },
+    footstep: { channel: 'effects', file: 'footstep.ogg' },
+    chase: { channel: 'effects', file: 'chase.ogg' },
+    hurt: { channel: 'effects', file: 'hurt.ogg' },
+    pickup: { channel: 'effects', file: 'pickup.ogg' },
+    door: { channel: 'effects', file: 'door.ogg' },
+    locked: { channel: 'effects', file: 'locked.ogg' },
+};
+
+// Enemy footsteps per state: world units walked per step and loudness. Other states are silent
+const ENEMY_STEPS = {
+    patrol: { stride: 14, volume: 0.45 },
+    investigate: { stride: 14, volume: 0.55 },
+    chase: { stride: 24, volume: 0.9 },
+};
+
+class AudioManager {
+    /**
+     * @param {object} params
+     * params.camera: the listener rides on it
+     * params.assets: AssetCache for the sound files
+     * params.volume: master volume 0..1, default 1
+     * params.humVoices: ceiling lights heard at once, default 4
+     */
+    constructor(params) {
+        this._camera = params.camera;
+        this._assets = params.assets || new AssetCache();
+        this._listener = new THREE.AudioListener();
+        this._camera.add(this._listener);
+
+        const ctx = this._listener.context;
+        this._channels = {};
+        for (const name of ['ambience', 'effects']) {
+            const gain = ctx.createGain();
+            gain.connect(this._listener.getInput());
+            this._channels[name] = gain;
+        }
+
+        // Placeholders until load() finds the real files
+        this._buffers = new Map();
+        for (const name of Object.keys(SOUNDS)) {
+            const samples = synthesize(name, ctx.sampleRate);
+            const buffer = ctx.createBuffer(1, samples.length, ctx.sampleRate);
+            buffer.getChannelData(0).set(samples);
+            this._buffers.set(name, buffer);
+        }
+
+        this._volume = 1;
+        this.setVolume(typeof params.volume === 'number' ? params.volume : 1);
+        this._paused = false;
+
+        // Fluorescent hum: a few looping voices moved onto the nearest ceiling lights
+        this._humVoiceCount = typeof params.humVoices === 'number' ? params.humVoices : 4;
+        this._humLevel = 0.35;
+        this._humInterval = 0.5;
+        this._humTimer = 0;
+        this._humVoices = [];   // { holder, audio, key }
+
+        // Chase stingers are rationed so a pack of enemies does not stack them
+        this._chaseCooldown = 8;
+        this._lastChase = -Infinity;
+        this._time = 0;
+
+        // Current run, see attachWorld
+        this._scene = null;
+        this._terrain = null;
+        this._getEnemies = () => [];
+        this._portal = null;    // { holder, audio }
+        this._enemies = new Map(); // EnemyController -> { audio, state, last, travel }
+        this._near = [];
+    }
+
+    /**
+     * Fetch the sound files. Missing ones keep their placeholder
+     * @returns {Promise<void>}
+     */
+    load() {
+        return Promise.all(Object.entries(SOUNDS).map(([name, sound]) =>
+            this._assets.audio(`${AUDIO_PATH}${sound.file}`, true).then((buffer) => {
+                if (buffer) this._buffers.set(name, buffer);
+            }))).then(() => { });
+    }
+
+    // Browsers start audio suspended until the page gets a click or key press
+    unlock() {
+        if (!this._paused && this._listener.context.state === 'suspended') this._listener.context.resume();
+    }
+
+    get volume() { return this._volume; }
+
+    setVolume(v) {
+        this._volume = Math.max(0, Math.min(1, v));
+        this._listener.setMasterVolume(this._volume);
+    }
+
+    channelVolume(channel) { return this._channels[channel]?.gain.value ?? 0; }
+
+    setChannelVolume(channel, v) {
+        const gain = this._channels[channel];
+        if (gain) gain.gain.setTargetAtTime(Math.max(0, Math.min(1, v)), this._listener.context.currentTime, 0.01);
+    }
+
+    // Silence everything in place; unpausing picks up where it stopped
+    setPaused(paused) {
+        this._paused = !!paused;
+        const ctx = this._listener.context;
+        if (this._paused && ctx.state === 'running') ctx.suspend();
+        else if (!this._paused && ctx.state === 'suspended') ctx.resume();
+    }
+
+    /**
+     * One-shot sound heard the same everywhere, e.g. a stinger
+     * @param {{volume?: number, detune?: number}} [opts] detune in cents
+     */
+    play(name, opts = {}) {
+        const audio = this._Create(name, false);
+        if (!audio) return null;
+        audio.setVolume(typeof opts.volume === 'number' ? opts.volume : 1);
+        // play() hands this to the source it creates
+        if (opts.detune) audio.detune = opts.detune;
+        audio.onEnded = function () {
+            THREE.Audio.prototype.onEnded.call(this);
+            this.gain.disconnect();
+        };
+        audio.play();
+        return audio;
+    }
+
+    /**
+     * Follow a run's world: ceiling hum from terrain, the portal, and footsteps of getEnemies()
+     * @param {{scene: THREE.Scene, terrain: Terrain, getEnemies: () => EnemyController[]}} world
+     */
+    attachWorld(world) {
+        this.detachWorld();
+        this._scene = world.scene;
+        this._terrain = world.terrain;
+        this._getEnemies = typeof world.getEnemies === 'function' ? world.getEnemies : (() => []);
+        this._humTimer = 0;
+        this._lastChase = -Infinity;
+    }
+
+    // Stop and drop every sound tied to the current run
+    detachWorld() {
+        for (const voice of this._humVoices) this._Release(voice.audio, voice.holder);
+        this._humVoices = [];
+        if (this._portal) this._Release(this._portal.audio, this._portal.holder);
+        this._portal = null;
+        for (const entry of this._enemies.values()) this._Release(entry.audio);
+        this._enemies.clear();
+        this._scene = null;
+        this._terrain = null;
+        this._getEnemies = () => [];
+    }
+
+    dispose() {
+        this.detachWorld();
+        this._camera.remove(this._listener);
+        for (const gain of Object.values(this._channels)) gain.disconnect();
+    }
+
+    // THREE.Audio or PositionalAudio routed through the sound's channel. null for unknown names
+    _Create(name, positional) {
+        const sound = SOUNDS[name];
+        if (!sound) return null;
+        const audio = positional ? new THREE.PositionalAudio(this._listener) : new THREE.Audio(this._listener);
+        audio.gain.disconnect();
+        audio.gain.connect(this._channels[sound.channel]);
+        audio.setBuffer(this._buffers.get(name));
+        return audio;
+    }
+
+    _Release(audio, holder) {
+        if (audio.isPlaying) audio.stop();
+        audio.gain.disconnect();
+        if (audio.parent) audio.parent.remove(audio);
+        if (holder && holder.parent) holder.parent.remove(holder);
+    }
+
+    // Looping positional sound on its own scene object, started at a random point of the loop
+    _Emitter(name, refDistance, rolloff) {
+        const holder = new THREE.Object3D();
+        const audio = this._Create(name, true);
+        audio.setLoop(true);
+        audio.setRefDistance(refDistance);
+        audio.setRolloffFactor(rolloff);
+        audio.offset = Math.random() * audio.buffer.duration;
+        holder.add(audio);
+        this._scene.add(holder);
+        audio.play();
+        return { holder, audio };
+    }
+
+    Update(timeElapsed) {
+        this._time += timeElapsed;
+        if (!this._terrain) return;
+
+        this._humTimer -= timeElapsed;
+        if (this._humTimer <= 0) {
+            this._humTimer = this._humInterval;
+            this._AssignHum();
+        }
+        // Hum swells and sags with the light, and dies with it
+        for (const voice of this._humVoices) {
+            const level = this._terrain.getLightLevel(voice.key);
+            voice.audio.setVolume(this._humLevel * Math.max(0, Math.min(1, (level - 0.75) / 0.3)));
+        }
+
+        this._UpdatePortal();
+        this._UpdateEnemies(timeElapsed);
+    }
+
+    // Keep voices on lights that are still among the nearest, move the rest onto new ones
+    _AssignHum() {
+        const p = this._camera.getWorldPosition(new THREE.Vector3());
+        const lights = this._terrain.getCeilingLightsNear(p.x, p.z, this._humVoiceCount);
+        const wanted = new Map(lights.map(l => [l.key, l]));
+
+        const free = [];
+        for (const voice of this._humVoices) {
+            if (wanted.has(voice.key)) wanted.delete(voice.key);
+            else free.push(voice);
+        }
+        for (const light of wanted.values()) {
+            let voice = free.pop();
+            if (!voice) {
+                voice = { ...this._Emitter('hum', 30, 2), key: null };
+                this._humVoices.push(voice);
+            }
+            voice.key = light.key;
+            voice.holder.position.set(light.x, light.y, light.z);
+        }
+        // Fewer lights than voices, e.g. right after a restart
+        for (const voice of free) {
+            this._Release(voice.audio, voice.holder);
+            this._humVoices.splice(this._humVoices.indexOf(voice), 1);
+        }
+    }
+
+    _UpdatePortal() {
+        const pos = this._terrain.getPortalPosition();
+        if (!pos) {
+            if (this._portal) this._Release(this._portal.audio, this._portal.holder);
+            this._portal = null;
+            return;
+        }
+        if (!this._portal) this._portal = this._Emitter('portal', 40, 1.5);
+        this._portal.holder.position.copy(pos);
+    }
+
+    // Footsteps by distance walked, so pace follows speed and a frozen enemy is silent
+    _UpdateEnemies(timeElapsed) {
+        const alive = new Set(this._getEnemies());
+        for (const [enemy, entry] of this._enemies) {
+            if (!alive.has(enemy) || enemy.object3D !== entry.audio.parent) {
+                this._Release(entry.audio);
+                this._enemies.delete(enemy);
+            }
+        }
+
+        for (const enemy of alive) {
+            const obj = enemy.object3D;
+            if (!obj) continue;
+            let entry = this._enemies.get(enemy);
+            if (!entry) {
+                const audio = this._Create('footstep', true);
+                audio.setRefDistance(40);
+                audio.setRolloffFactor(1.2);
+                obj.add(audio);
+                entry = { audio, state: enemy.state, last: obj.position.clone(), travel: 0 };
+                this._enemies.set(enemy, entry);
+            }
+
+            const state = enemy.state;
+            if (state === 'chase' && entry.state !== 'chase' && this._time - this._lastChase >= this._chaseCooldown) {
+                this._lastChase = this._time;
+                this.play('chase', { volume: 0.8 });
+            }
+            entry.state = state;
+
+            entry.travel += Math.hypot(obj.position.x - entry.last.x, obj.position.z - entry.last.z);
+            entry.last.copy(obj.position);
+            const step = ENEMY_STEPS[state];
+            if (!step) {
+                entry.travel = 0;
+            } else if (entry.travel >= step.stride) {
+                entry.travel %= step.stride;
+                this._Footstep(entry.audio, obj.position, step.volume);
+            }
+        }
+    }
+
+    // Steps behind a wall come through muffled, like noise in Perception
+    _Footstep(audio, pos, volume) {
+        const ear = this._camera.getWorldPosition(new THREE.Vector3());
+        const clear = hasLineOfSight(ear.x, ear.z, pos.x, pos.z,
+            (minX, maxX, minZ, maxZ, out) => this._terrain.queryColliders(minX, maxX, minZ, maxZ, out), this._near);
+        if (audio.isPlaying) audio.stop();
+        audio.setVolume(clear ? volume : volume * 0.4);
+        audio.detune = (Math.random() - 0.5) * 300;
+        audio.play();
+    }
+}
+
+export { AudioManager };
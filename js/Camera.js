@@ -1,44 +1,284 @@
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.118/build/three.module.js';
+import { collidersNear, sweepCircleRect } from './Collision.js';
 
-class ThirdPersonCamera {
-    constructor(params) {
+// Radians of orbit per pixel of mouse motion at sensitivity 1
+const MOUSE_RADIANS_PER_PIXEL = 0.0025;
+
+/**
+ * Yaw and pitch shared by the camera rigs. 'follow' keeps the character's heading;
+ * 'orbit' is steered by the mouse and the character turns toward it instead
+ */
+class LookRig {
+    constructor(params, pitchRange) {
         this._params = params;
         this._camera = params.camera;
 
+        this._mode = params.mode === 'orbit' ? 'orbit' : 'follow';
+        this._sensitivity = typeof params.sensitivity === 'number' ? params.sensitivity : 1;
+        this._invertY = !!params.invertY;
+        this._minPitch = typeof params.minPitch === 'number' ? params.minPitch : pitchRange[0];
+        this._maxPitch = typeof params.maxPitch === 'number' ? params.maxPitch : pitchRange[1];
+        // Largest yaw away from the character's facing. Infinity orbits freely
+        this._maxYaw = typeof params.maxYaw === 'number' ? params.maxYaw : Infinity;
+        this._yaw = null;   // heading, same convention as the character: forward = (sin, 0, cos)
+        this._pitch = 0;    // positive looks down
+    }
+
+    setMode(mode) {
+        this._mode = mode === 'orbit' ? 'orbit' : 'follow';
+        this._yaw = null;
+        this._pitch = 0;
+    }
+
+    setLook(sensitivity, invertY) {
+        this._sensitivity = sensitivity;
+        this._invertY = !!invertY;
+    }
+
+    get mode() { return this._mode; }
+
+    // Camera heading in orbit mode, the character's heading otherwise
+    get yaw() { return this._mode === 'orbit' && this._yaw !== null ? this._yaw : this._TargetYaw(); }
+
+    /**
+     * Look around by mouse motion in pixels. Ignored in follow mode
+     */
+    addLook(dx, dy) {
+        if (this._mode !== 'orbit') return;
+        if (this._yaw === null) this._yaw = this._TargetYaw();
+        const k = MOUSE_RADIANS_PER_PIXEL * this._sensitivity;
+        this._yaw -= dx * k;
+        this._pitch += (this._invertY ? -dy : dy) * k;
+        this._pitch = Math.max(this._minPitch, Math.min(this._maxPitch, this._pitch));
+
+        if (Number.isFinite(this._maxYaw)) {
+            const base = this._TargetYaw();
+            let d = this._yaw - base;
+            d = Math.atan2(Math.sin(d), Math.cos(d));
+            this._yaw = base + Math.max(-this._maxYaw, Math.min(this._maxYaw, d));
+        }
+    }
+
+    _TargetYaw() {
+        const q = this._params.target.Rotation;
+        return new THREE.Euler().setFromQuaternion(q, 'YXZ').y;
+    }
+}
+
+class ThirdPersonCamera extends LookRig {
+    constructor(params) {
+        // Pitch raises the camera above the character as it looks down
+        super(params, [-0.35, 1.0]);
+
         this._currentPosition = new THREE.Vector3();
         this._currentLookat = new THREE.Vector3();
 
         // Camera configuration
-        this._followDistance = 35;
-        this._followHeight = 8;
+        this._followDistance = typeof params.followDistance === 'number' ? params.followDistance : 35;
+        this._followHeight = typeof params.followHeight === 'number' ? params.followHeight : 8;
         this._aimHeight = 14;
+
+        // Wall occlusion. Walls are the same XZ rects the character collides with;
+        // the view ray is swept as a circle wide enough to keep the near plane out of them
+        this._colliders = params.queryColliders || params.colliders || null;
+        this._ceiling = typeof params.ceilingHeight === 'number' ? params.ceilingHeight : Infinity;
+        this._margin = typeof params.wallMargin === 'number' ? params.wallMargin : this._NearPlaneRadius() + 0.5;
+        this._zoom = 1;     // fraction of the follow distance in use, eased back to 1 when the view clears
+        this._near = [];
+    }
+
+    setFollow(distance, height) {
+        this._followDistance = distance;
+        this._followHeight = height;
     }
 
     _CalculateIdealOffset() {
+        const targetPos = this._params.target.Position.clone().add(new THREE.Vector3(0, this._aimHeight, 0));
+
+        if (this._mode === 'orbit') {
+            if (this._yaw === null) this._yaw = this._TargetYaw();
+            // Behind the heading, swung up or down by pitch
+            const d = this._followDistance;
+            const cp = Math.cos(this._pitch), sp = Math.sin(this._pitch);
+            return targetPos.add(new THREE.Vector3(
+                -Math.sin(this._yaw) * cp * d,
+                this._followHeight + sp * d,
+                -Math.cos(this._yaw) * cp * d));
+        }
+
         // Compute desired camera position behind the target
         const offsetLocal = new THREE.Vector3(0, this._followHeight, -this._followDistance);
         const offsetWorld = offsetLocal.clone().applyQuaternion(this._params.target.Rotation);
-        const targetPos = this._params.target.Position.clone().add(new THREE.Vector3(0, this._aimHeight, 0));
         return targetPos.add(offsetWorld);
     }
 
+    // Half diagonal of the near plane: how far its corners reach from the camera position
+    _NearPlaneRadius() {
+        const cam = this._camera;
+        if (!cam || !cam.isPerspectiveCamera) return 1;
+        const h = cam.near * Math.tan(THREE.MathUtils.degToRad(cam.fov) / 2);
+        return Math.hypot(h, h * cam.aspect);
+    }
+
+    /**
+     * Fraction of the segment from -> to the camera can travel before its near plane
+     * touches a wall, 1 when the view is clear
+     */
+    _ClearFraction(from, to) {
+        if (!this._colliders) return 1;
+        const r = this._margin;
+        const dx = to.x - from.x, dz = to.z - from.z;
+        const rects = collidersNear(this._colliders,
+            Math.min(from.x, to.x) - r, Math.max(from.x, to.x) + r,
+            Math.min(from.z, to.z) - r, Math.max(from.z, to.z) + r, this._near);
+        let t = 1;
+        for (const rect of rects) {
+            const hit = sweepCircleRect(from.x, from.z, dx, dz, r, rect);
+            if (hit && hit.t < t) t = hit.t;
+        }
+        return t;
+    }
+
+    // Move p toward the aim point until it is clear of walls, floor and ceiling
+    _Unobstruct(aim, p, fraction) {
+        if (fraction < 1) p.sub(aim).multiplyScalar(fraction).add(aim);
+        p.y = Math.max(this._margin, Math.min(this._ceiling - this._margin, p.y));
+        return p;
+    }
+
     _CalculateIdealLookat() {
         // Compute point the camera should focus on
         return this._params.target.Position.clone().add(new THREE.Vector3(0, this._aimHeight, 0));
     }
 
     Update(timeElapsed) {
-        const idealOffset = this._CalculateIdealOffset();
         const idealLookat = this._CalculateIdealLookat();
+        const idealOffset = this._CalculateIdealOffset();
+
+        // Pull in quickly when a wall blocks the view, ease back out once it clears
+        const clear = this._ClearFraction(idealLookat, idealOffset);
+        const rate = clear < this._zoom ? 1e-6 : 0.1;
+        this._zoom += (clear - this._zoom) * (1.0 - Math.pow(rate, timeElapsed));
+        this._Unobstruct(idealLookat, idealOffset, this._zoom);
 
-        // Smooth interpolation between current and target positions
-        const t = 1.0 - Math.pow(0.001, timeElapsed);
+        // Smooth interpolation between current and target positions. Orbiting
+        // follows the mouse more tightly so aiming does not feel delayed
+        const t = 1.0 - Math.pow(this._mode === 'orbit' ? 1e-6 : 0.001, timeElapsed);
         this._currentPosition.lerp(idealOffset, t);
         this._currentLookat.lerp(idealLookat, t);
 
+        // Smoothing must never drag the camera through a wall
+        this._Unobstruct(idealLookat, this._currentPosition, this._ClearFraction(idealLookat, this._currentPosition));
+
         this._camera.position.copy(this._currentPosition);
         this._camera.lookAt(this._currentLookat);
     }
 }
 
-export { ThirdPersonCamera };
+// Head bob per locomotion state. speed is the state's usual ground speed; slower
+// movement bobs proportionally less. Unlisted states (attack) hold the head still
+const HEAD_BOB = {
+    idle: { amplitude: 0.08, frequency: 0.3, speed: 0 },
+    walk: { amplitude: 0.45, frequency: 1.8, speed: 10 },
+    run: { amplitude: 1.0, frequency: 2.6, speed: 80 },
+};
+
+/**
+ * Eyes at the character's head bone. The target provides HeadPosition, StateName and Speed
+ * (BasicCharacterController does); the body is expected to be hidden by the caller
+ */
+class FirstPersonCamera extends LookRig {
+    constructor(params) {
+        super(params, [-1.3, 1.3]);
+
+        // Eye point relative to the head bone, forward of the face
+        this._eyeForward = typeof params.eyeForward === 'number' ? params.eyeForward : 1.5;
+        this._bobScale = typeof params.bobScale === 'number' ? params.bobScale : 1;
+        this._bobPhase = 0;
+        this._bobAmplitude = 0;
+        this._head = new THREE.Vector3();
+        this._euler = new THREE.Euler(0, 0, 0, 'YXZ');
+    }
+
+    setBobScale(s) { this._bobScale = s; }
+
+    _UpdateBob(dt) {
+        const target = this._params.target;
+        const profile = HEAD_BOB[target.StateName];
+        let amplitude = 0;
+        if (profile) {
+            const pace = profile.speed > 0 ? Math.min(1.25, (target.Speed || 0) / profile.speed) : 1;
+            amplitude = profile.amplitude * pace * this._bobScale;
+            this._bobPhase += dt * profile.frequency * Math.PI * 2 * Math.max(pace, 0.25);
+        }
+        // Ease between states so stopping does not snap the view
+        this._bobAmplitude += (amplitude - this._bobAmplitude) * (1.0 - Math.pow(0.01, dt));
+    }
+
+    Update(timeElapsed) {
+        this._UpdateBob(timeElapsed);
+
+        const target = this._params.target;
+        if (target.HeadPosition) this._head.copy(target.HeadPosition);
+        else this._head.copy(target.Position).y += 16;
+
+        const yaw = this.yaw;
+        const pitch = this._mode === 'orbit' ? this._pitch : 0;
+        const sinY = Math.sin(yaw), cosY = Math.cos(yaw);
+
+        // Two vertical dips per stride, one sway to each side
+        const a = this._bobAmplitude;
+        const up = Math.sin(this._bobPhase * 2) * a;
+        const side = Math.cos(this._bobPhase) * a * 0.5;
+
+        this._camera.position.set(
+            this._head.x + sinY * this._eyeForward + cosY * side,
+            this._head.y + up,
+            this._head.z + cosY * this._eyeForward - sinY * side);
+
+        // The camera looks down its -z, the character faces +z
+        this._euler.set(-pitch, yaw + Math.PI, 0);
+        this._camera.quaternion.setFromEuler(this._euler);
+    }
+}
+
+/**
+ * Slow rise over a fallen character while it circles the body. Starts wherever the
+ * camera is and keeps the third-person wall handling. done turns true after duration
+ */
+class DeathCamera extends ThirdPersonCamera {
+    constructor(params) {
+        super({ ...params, mode: 'follow' });
+        this._duration = typeof params.duration === 'number' ? params.duration : 3;
+        this._orbit = typeof params.orbit === 'number' ? params.orbit : 0.9;    // radians swept over the sequence
+        this._elapsed = 0;
+        this._aimHeight = 3;
+
+        const cam = this._camera.position;
+        const p = this._params.target.Position;
+        this._startYaw = Math.atan2(cam.x - p.x, cam.z - p.z);
+        this._startRadius = Math.max(8, Math.hypot(cam.x - p.x, cam.z - p.z));
+        this._startHeight = cam.y - p.y;
+        this._currentPosition.copy(cam);
+        this._currentLookat.copy(this._CalculateIdealLookat());
+    }
+
+    get done() { return this._elapsed >= this._duration; }
+
+    _CalculateIdealOffset() {
+        const t = Math.min(1, this._elapsed / this._duration);
+        const ease = 1 - Math.pow(1 - t, 3);
+        const yaw = this._startYaw + this._orbit * ease;
+        const radius = this._startRadius + (18 - this._startRadius) * ease;
+        const height = this._startHeight + (34 - this._startHeight) * ease;
+        const p = this._params.target.Position;
+        return new THREE.Vector3(p.x + Math.sin(yaw) * radius, p.y + height, p.z + Math.cos(yaw) * radius);
+    }
+
+    Update(timeElapsed) {
+        this._elapsed += timeElapsed;
+        super.Update(timeElapsed);
+    }
+}
+
+export { ThirdPersonCamera, FirstPersonCamera, DeathCamera };
@@ -1,16 +1,48 @@
 // CharacterController.js
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.118/build/three.module.js';
-import { FBXLoader } from 'https://cdn.jsdelivr.net/npm/three@0.118.1/examples/jsm/loaders/FBXLoader.js';
 import { CharacterFSM } from './StateMachine.js';
+import { AssetCache } from './AssetCache.js';
+import { InputManager } from './Input.js';
+import { moveCircle, forEachSubstep } from './Collision.js';
+
+const CHARACTER_PATH = './resources/character/';
+const CHARACTER_MODEL = `${CHARACTER_PATH}character_rigged.fbx`;
+const CHARACTER_CLIPS = { walk: 'walk.fbx', run: 'run.fbx', idle: 'idle.fbx', hurt: 'hurt.fbx' };
+// Played when present; without it the body tips over
+const CHARACTER_DEATH_CLIP = 'death.fbx';
+// The enemy's Mixamo swipe, shared rather than copied: both rigs use Mixamo bone names.
+// Without it attacks still land, unanimated
+const CHARACTER_ATTACK_CLIP = './resources/enemy/attack.fbx';
+
+// What the character reads instead of the real input once dead
+const NO_INPUT = { isDown: () => false, pressed: () => false, axis: () => 0 };
 
 class BasicCharacterControllerProxy {
-    constructor(animations) { this._animations = animations; }
+    constructor(animations, hooks = {}) {
+        this._animations = animations;
+        this._hooks = hooks;
+    }
     get animations() { return this._animations; }
+
+    // Gameplay hooks used by states that do more than animate
+    canAttack() { return this._hooks.canAttack ? this._hooks.canAttack() : false; }
+    attackStarted() { this._hooks.onAttackStart?.(); }
+    attackHit() { this._hooks.onAttackHit?.(); }
+    isMoving(input) { return this._hooks.isMoving ? this._hooks.isMoving() : input.axis('move') !== 0; }
+    canRun() { return this._hooks.canRun ? this._hooks.canRun() : true; }
+    // Dead state: t runs 0..1 over the fall when there is no death clip
+    fall(t) { this._hooks.onFall?.(t); }
+    deathFinished() { this._hooks.onDeathFinished?.(); }
 }
 
 class BasicCharacterController {
     constructor(params) { this._Init(params); }
 
+    // Files the character cannot play without, for AssetCache.preload
+    static requiredAssets() {
+        return { fbx: [CHARACTER_MODEL, ...Object.values(CHARACTER_CLIPS).map(f => `${CHARACTER_PATH}${f}`)] };
+    }
+
     _Init(params) {
         this._params = params;
         this._decceleration = new THREE.Vector3(-0.0005, -0.0001, -5.0);
@@ -25,34 +57,82 @@ class BasicCharacterController {
 
         this._radius = 5;
         this._colliders = Array.isArray(params.colliders) ? params.colliders : [];
+        this._queryColliders = typeof params.queryColliders === 'function' ? params.queryColliders : null;
+        // Movement is integrated in substeps no longer than this, so long frames stay stable
+        this._fixedStep = typeof params.fixedStep === 'number' ? params.fixedStep : 1 / 60;
         this._getHeightAt = typeof params.getHeightAt === 'function' ? params.getHeightAt : (() => 0);
 
         // Run speed multiplier
         this._runMultiplier = typeof params.runMultiplier === 'number' ? params.runMultiplier : 8.0;
+        // Scales keyboard turn rate
+        this._turnSensitivity = typeof params.turnSensitivity === 'number' ? params.turnSensitivity : 1.0;
+
+        // 'tank' turns with the turn keys; 'mouse' strafes with them and faces getCameraYaw() while moving
+        this._controlScheme = params.controlScheme === 'mouse' ? 'mouse' : 'tank';
+        this._getCameraYaw = typeof params.getCameraYaw === 'function' ? params.getCameraYaw : null;
+
+        // First person: the body only casts its shadow and always faces the camera
+        this._firstPerson = !!params.firstPerson;
+        this._headBone = null;
+        this._headPosition = new THREE.Vector3();
 
         // Health
         this._hpMax = 100;
         this._hp = 100;
         this._onHpChange = typeof params.onHpChange === 'function' ? params.onHpChange : (() => { });
+        // Called once the death animation has played out
+        this._onDeath = typeof params.onDeath === 'function' ? params.onDeath : (() => { });
+        this._dead = false;
+        this._fallYaw = 0;
+
+        // Stamina drains while running and refills otherwise. Running out exhausts the
+        // character, who cannot run again until staminaRecover (fraction of max) is back
+        this._staminaMax = typeof params.staminaMax === 'number' ? params.staminaMax : 100;
+        this._stamina = this._staminaMax;
+        this._staminaDrain = typeof params.staminaDrain === 'number' ? params.staminaDrain : 25;   // per second
+        this._staminaRegen = typeof params.staminaRegen === 'number' ? params.staminaRegen : 15;   // per second
+        this._staminaRecover = typeof params.staminaRecover === 'number' ? params.staminaRecover : 0.35;
+        this._exhausted = false;
+        this._onStaminaChange = typeof params.onStaminaChange === 'function' ? params.onStaminaChange : (() => { });
+
+        // Footstep loudness as a hearing radius in world units, see Perception
+        this._noiseWalk = typeof params.noiseWalk === 'number' ? params.noiseWalk : 150;
+        this._noiseRun = typeof params.noiseRun === 'number' ? params.noiseRun : 450;
+
+        // Melee attack. getEnemies() => EnemyController[]
+        this._getEnemies = typeof params.getEnemies === 'function' ? params.getEnemies : (() => []);
+        this._attackDamage = typeof params.attackDamage === 'number' ? params.attackDamage : 20;
+        this._attackRange = typeof params.attackRange === 'number' ? params.attackRange : 30;
+        this._attackArc = typeof params.attackArc === 'number' ? params.attackArc : Math.PI * 0.6; // full cone angle
+        this._attackCooldown = typeof params.attackCooldown === 'number' ? params.attackCooldown : 0.7;
+        this._lastAttackTime = -Infinity;
+        this._time = 0;
 
         // Animation system
         this._animations = {};
-        this._input = new BasicCharacterControllerInput();
-        this._stateMachine = new CharacterFSM(new BasicCharacterControllerProxy(this._animations));
-
-        // Hurt animation handling
-        this._hurtActive = false;
-        this._hurtUntilMS = 0;
-        this._hurtDuration = 0.5;
-        this._lastBaseAction = null;
+        // Action input. A shared InputManager is updated by its owner, a private one here
+        this._ownsInput = !params.input;
+        this._input = params.input || new InputManager();
+        this._stateMachine = new CharacterFSM(new BasicCharacterControllerProxy(this._animations, {
+            canAttack: () => this._time - this._lastAttackTime >= this._attackCooldown,
+            onAttackStart: () => { this._lastAttackTime = this._time; },
+            onAttackHit: () => this._performAttackHit(),
+            isMoving: () => this._HasMoveInput(),
+            canRun: () => !this._exhausted,
+            onFall: t => this._Fall(t),
+            onDeathFinished: () => this._onDeath(),
+        }));
+
+        // Model and clips are shared through the cache so restarts skip the download
+        this._assets = params.assets || new AssetCache();
+        this._disposed = false;
 
         this._LoadModels();
     }
 
     _LoadModels() {
-        const loader = new FBXLoader();
-        loader.setPath('./resources/character/');
-        loader.load('character_rigged.fbx', (fbx) => {
+        this._assets.model(CHARACTER_MODEL).then((fbx) => {
+            if (!fbx || this._disposed) return;
             fbx.scale.setScalar(0.3);
             fbx.traverse(c => { c.castShadow = true; });
 
@@ -73,51 +153,75 @@ class BasicCharacterController {
                 });
             });
 
+            // Mixamo names it mixamorigHead; HeadTop_End is the tip above it
+            fbx.traverse(o => { if (!this._headBone && o.isBone && /head$/i.test(o.name)) this._headBone = o; });
+
             this._target = fbx;
+            this._ApplyFirstPerson();
             this._target.position.copy(this._startPosition);
             this._position.copy(this._target.position);
             this._params.scene.add(this._target);
 
             this._mixer = new THREE.AnimationMixer(this._target);
 
-            this._manager = new THREE.LoadingManager();
-            this._manager.onLoad = () => {
-                this._stateMachine.SetState('idle');
-                this._onHpChange(this._hp, this._hpMax);
-                if (this._animations.hurt?.clip?.duration) {
-                    this._hurtDuration = this._animations.hurt.clip.duration;
-                }
-            };
-
-            const _OnLoad = (name, anim) => {
-                const clip = anim.animations[0];
+            // Missing clips are reported by the AssetCache and arrive as null
+            const _OnLoad = (name, clip) => {
+                if (!clip || this._disposed) return;
                 const action = this._mixer.clipAction(clip);
-                if (name === 'hurt') {
+                if (name === 'hurt' || name === 'attack' || name === 'death') {
                     action.setLoop(THREE.LoopOnce, 0);
                     action.clampWhenFinished = true;
                 }
                 this._animations[name] = { clip, action };
             };
 
-            const loader2 = new FBXLoader(this._manager);
-            loader2.setPath('./resources/character/');
-            loader2.load('walk.fbx', a => _OnLoad('walk', a));
-            loader2.load('run.fbx', a => _OnLoad('run', a));
-            loader2.load('idle.fbx', a => _OnLoad('idle', a));
-            loader2.load('hurt.fbx', a => _OnLoad('hurt', a), undefined, () => { });
+            const clip = (file, optional) => this._assets.clip(`${CHARACTER_PATH}${file}`, optional);
+            const loads = Object.entries(CHARACTER_CLIPS).map(([name, file]) => clip(file).then(c => _OnLoad(name, c)));
+            loads.push(clip(CHARACTER_DEATH_CLIP, true).then(c => _OnLoad('death', c)));
+            // Root position tracks are dropped because the rig it was made on differs in height.
+            // Cached clips are shared, so edit a copy
+            loads.push(this._assets.clip(CHARACTER_ATTACK_CLIP, true).then(c => {
+                if (!c) return;
+                const own = c.clone();
+                own.tracks = own.tracks.filter(t => !t.name.endsWith('.position'));
+                _OnLoad('attack', own);
+            }));
+
+            Promise.all(loads).then(() => {
+                if (this._disposed) return;
+                this._stateMachine.SetState(this._dead ? 'dead' : 'idle');
+                this._onHpChange(this._hp, this._hpMax);
+                this._onStaminaChange(this._stamina, this._staminaMax, this._exhausted);
+            });
         });
     }
 
+    // Remove the character from the scene and stop listening for input
+    dispose() {
+        this._disposed = true;
+        if (this._ownsInput) this._input.dispose();
+        if (this._mixer) {
+            this._mixer.stopAllAction();
+            if (this._target) this._mixer.uncacheRoot(this._target);
+        }
+        if (this._target && this._target.parent) this._target.parent.remove(this._target);
+        this._target = null;
+        this._mixer = null;
+    }
+
     damage(n) {
         const amount = Math.max(0, n | 0);
-        if (amount <= 0) return;
+        if (amount <= 0 || this._dead) return;
 
         this._hp = Math.max(0, this._hp - amount);
+        if (this._hp === 0) this._Die();
+        // Before the FSM has its first state the clips are still loading
+        else if (this._stateMachine._currentState) this._stateMachine.Hurt();
         this._onHpChange(this._hp, this._hpMax);
-        this._triggerHurt();
     }
 
     heal(n) {
+        if (this._dead) return;
         this._hp = Math.min(this._hpMax, this._hp + Math.max(0, n | 0));
         this._onHpChange(this._hp, this._hpMax);
     }
@@ -128,113 +232,175 @@ class BasicCharacterController {
         this._onHpChange(this._hp, this._hpMax);
     }
 
-    _triggerHurt() {
-        const hurt = this._animations.hurt?.action;
-        if (!hurt || !this._mixer) return;
-
-        this._hurtActive = true;
-        this._hurtUntilMS = performance.now() + this._hurtDuration * 1000;
+    _Die() {
+        this._dead = true;
+        if (this._target) this._fallYaw = new THREE.Euler().setFromQuaternion(this._target.quaternion, 'YXZ').y;
+        if (this._stateMachine._currentState) this._stateMachine.Die();
+    }
 
-        hurt.reset();
-        hurt.enabled = true;
-        hurt.paused = false;
+    // Tip backwards onto the floor, easing into the landing
+    _Fall(t) {
+        if (!this._target) return;
+        const ease = 1 - Math.pow(1 - t, 3);
+        this._target.rotation.set(-ease * Math.PI * 0.5, this._fallYaw, 0, 'YXZ');
+    }
 
-        try {
-            for (const k of Object.keys(this._animations)) {
-                const a = this._animations[k].action;
-                if (!a || a === hurt) continue;
-                if (a.isRunning()) {
-                    this._lastBaseAction = a;
-                    a.crossFadeTo(hurt, 0.06, false);
-                }
-            }
-        } catch { }
+    get IsDead() { return this._dead; }
 
-        hurt.play();
+    // Input as the character sees it: none once dead
+    _Input() {
+        return this._dead ? NO_INPUT : this._input;
     }
 
-    setPosition(x, y, z) {
-        if (!this._target) this._startPosition.set(x, y, z);
-        else { this._target.position.set(x, y, z); this._position.set(x, y, z); }
-    }
+    // Hit every living enemy inside the cone in front of the character
+    _performAttackHit() {
+        if (!this._target) return;
 
-    _resolve2DCollisions(nextPos) {
-        let x = nextPos.x, z = nextPos.z;
-        const r = this._radius;
-
-        for (const rect of this._colliders) {
-            const exmin = rect.minX - r;
-            const exmax = rect.maxX + r;
-            const ezmin = rect.minZ - r;
-            const ezmax = rect.maxZ + r;
-
-            if (x >= exmin && x <= exmax && z >= ezmin && z <= ezmax) {
-                const pushLeft = Math.abs(x - exmin);
-                const pushRight = Math.abs(exmax - x);
-                const pushDown = Math.abs(z - ezmin);
-                const pushUp = Math.abs(ezmax - z);
-                const minPush = Math.min(pushLeft, pushRight, pushDown, pushUp);
-                if (minPush === pushLeft) x = exmin;
-                else if (minPush === pushRight) x = exmax;
-                else if (minPush === pushDown) z = ezmin;
-                else z = ezmax;
-            }
+        const origin = this._target.position;
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(this._target.quaternion);
+        forward.y = 0;
+        if (forward.lengthSq() < 1e-8) return;
+        forward.normalize();
+
+        const cosHalf = Math.cos(this._attackArc * 0.5);
+        for (const enemy of this._getEnemies()) {
+            const obj = enemy?.object3D;
+            if (!obj || enemy.isDead) continue;
+
+            const toEnemy = new THREE.Vector3().subVectors(obj.position, origin);
+            toEnemy.y = 0;
+            const dist = toEnemy.length();
+            if (dist > this._attackRange + this._radius + (enemy.radius ?? 0)) continue;
+
+            const dir = dist > 1e-6 ? toEnemy.multiplyScalar(1 / dist) : forward.clone();
+            if (dist > 1e-6 && dir.dot(forward) < cosHalf) continue;
+
+            enemy.damage(this._attackDamage, dir);
         }
-        return new THREE.Vector3(x, nextPos.y, z);
     }
 
-    get Position() { return this._position; }
-    get Rotation() { return this._target ? this._target.quaternion : new THREE.Quaternion(); }
+    setTurnSensitivity(v) { this._turnSensitivity = v; }
 
-    Update(timeInSeconds) {
+    setControlScheme(scheme) {
+        this._controlScheme = scheme === 'mouse' ? 'mouse' : 'tank';
+        this._velocity.x = 0;
+    }
+
+    setFirstPerson(on) {
+        this._firstPerson = !!on;
+        this._ApplyFirstPerson();
+    }
+
+    // Hidden from the camera but not from the lights: the shadow pass uses its own depth material
+    _ApplyFirstPerson() {
         if (!this._target) return;
+        this._target.traverse(o => {
+            if (!o.isMesh) return;
+            const mats = Array.isArray(o.material) ? o.material : [o.material];
+            mats.forEach(m => {
+                if (!m) return;
+                m.colorWrite = !this._firstPerson;
+                m.depthWrite = !this._firstPerson;
+            });
+        });
+    }
 
-        // Handle hurt animation timing and recovery
-        if (!this._hurtActive) {
-            if (this._stateMachine._currentState) {
-                this._stateMachine.Update(timeInSeconds, this._input);
-            }
-        } else {
-            if (performance.now() >= this._hurtUntilMS) {
-                this._hurtActive = false;
+    _HasMoveInput() {
+        const input = this._Input();
+        if (input.axis('move') !== 0) return true;
+        return this._controlScheme === 'mouse' && input.axis('strafe') !== 0;
+    }
 
-                const hurt = this._animations.hurt?.action || null;
-                const base = this._lastBaseAction || this._animations.idle?.action || null;
+    // How far the footsteps carry right now. Standing still is silent
+    get Noise() {
+        if (this.Speed < 1) return 0;
+        return this._IsSprinting() ? this._noiseRun : this._noiseWalk;
+    }
 
-                if (base) {
-                    if (hurt) {
-                        try { hurt.crossFadeTo(base, 0.08, false); } catch { }
-                    }
-                    base.reset().fadeIn(0.08).play();
-                }
+    get Radius() { return this._radius; }
+    get Hp() { return this._hp; }
+    get HpMax() { return this._hpMax; }
+    get Stamina() { return this._stamina; }
+    get IsExhausted() { return this._exhausted; }
 
-                if (hurt) {
-                    hurt.enabled = false;
-                    hurt.stop();
-                }
-                this._lastBaseAction = null;
-            }
+    // Running for real: the key is held, there is stamina left and the character is moving
+    _IsSprinting() {
+        return this._Input().isDown('run') && !this._exhausted && !this.IsAttacking && this._HasMoveInput();
+    }
+
+    _UpdateStamina(timeInSeconds) {
+        const before = this._stamina;
+        const wasExhausted = this._exhausted;
+        if (this._IsSprinting()) {
+            this._stamina = Math.max(0, this._stamina - this._staminaDrain * timeInSeconds);
+            if (this._stamina === 0) this._exhausted = true;
+        } else {
+            this._stamina = Math.min(this._staminaMax, this._stamina + this._staminaRegen * timeInSeconds);
+            if (this._exhausted && this._stamina >= this._staminaMax * this._staminaRecover) this._exhausted = false;
+        }
+        if (this._stamina !== before || this._exhausted !== wasExhausted) {
+            this._onStaminaChange(this._stamina, this._staminaMax, this._exhausted);
         }
+    }
+
+    get IsAttacking() { return this._stateMachine._currentState?.Name === 'attack'; }
+    get StateName() { return this._stateMachine._currentState?.Name ?? null; }
+    // Ground speed in units per second
+    get Speed() { return Math.hypot(this._velocity.x, this._velocity.z); }
+
+    // World position of the head bone as last animated, or a fixed eye height without a rig
+    get HeadPosition() {
+        if (this._headBone) return this._headBone.getWorldPosition(this._headPosition);
+        return this._headPosition.copy(this._position).setY(this._position.y + 16);
+    }
+
+    setPosition(x, y, z) {
+        if (!this._target) this._startPosition.set(x, y, z);
+        else { this._target.position.set(x, y, z); this._position.set(x, y, z); }
+    }
+
+    get Position() { return this._position; }
+    get Rotation() { return this._target ? this._target.quaternion : new THREE.Quaternion(); }
 
+    _Move(timeInSeconds) {
         // Apply movement and rotation
         const v = this._velocity;
+        const mouse = this._controlScheme === 'mouse';
         const dec = new THREE.Vector3(v.x * this._decceleration.x, v.y * this._decceleration.y, v.z * this._decceleration.z);
+        // Strafing brakes like walking
+        if (mouse) dec.x = v.x * this._decceleration.z;
         dec.multiplyScalar(timeInSeconds);
+        dec.x = Math.sign(dec.x) * Math.min(Math.abs(dec.x), Math.abs(v.x));
         dec.z = Math.sign(dec.z) * Math.min(Math.abs(dec.z), Math.abs(v.z));
         v.add(dec);
 
+        const input = this._Input();
         const obj = this._target;
         const _Q = new THREE.Quaternion();
         const _A = new THREE.Vector3();
         const _R = obj.quaternion.clone();
 
         const acc = this._acceleration.clone();
-        if (this._input._keys.shift) acc.multiplyScalar(this._runMultiplier);
-
-        if (this._input._keys.forward) v.z += acc.z * timeInSeconds;
-        if (this._input._keys.backward) v.z -= acc.z * timeInSeconds;
-        if (this._input._keys.left) { _A.set(0, 1, 0); _Q.setFromAxisAngle(_A, 4.0 * Math.PI * timeInSeconds * this._acceleration.y); _R.multiply(_Q); }
-        if (this._input._keys.right) { _A.set(0, 1, 0); _Q.setFromAxisAngle(_A, -4.0 * Math.PI * timeInSeconds * this._acceleration.y); _R.multiply(_Q); }
+        if (input.isDown('run') && !this._exhausted) acc.multiplyScalar(this._runMultiplier);
+
+        // Axes are analog on a gamepad, so thrust and turn rate scale with the stick.
+        // Planted feet while swinging
+        const move = this.IsAttacking ? 0 : input.axis('move');
+        v.z += acc.z * timeInSeconds * move;
+        if (mouse) {
+            // Local +x is the character's left
+            const strafe = this.IsAttacking ? 0 : input.axis('strafe');
+            v.x += acc.z * timeInSeconds * strafe;
+            if ((move || strafe || (this._firstPerson && !this._dead)) && this._getCameraYaw) {
+                _Q.setFromAxisAngle(_A.set(0, 1, 0), this._getCameraYaw());
+                // In first person the body is the view, so it turns with it at once
+                if (this._firstPerson) _R.copy(_Q);
+                else _R.slerp(_Q, 1.0 - Math.pow(0.001, timeInSeconds * this._turnSensitivity));
+            }
+        } else {
+            const turn = input.axis('turn');
+            if (turn) { _A.set(0, 1, 0); _Q.setFromAxisAngle(_A, 4.0 * Math.PI * timeInSeconds * this._acceleration.y * this._turnSensitivity * turn); _R.multiply(_Q); }
+        }
 
         obj.quaternion.copy(_R);
 
@@ -244,48 +410,27 @@ class BasicCharacterController {
         sideways.multiplyScalar(v.x * timeInSeconds);
         forward.multiplyScalar(v.z * timeInSeconds);
 
-        const next = obj.position.clone().add(forward).add(sideways);
+        const delta = forward.add(sideways);
+        const moved = moveCircle(obj.position.x, obj.position.z, delta.x, delta.z, this._radius,
+            this._queryColliders || this._colliders);
 
-        const groundY = this._getHeightAt(next.x, next.z);
-        next.y = groundY + (obj.position.y - groundY);
+        const groundY = this._getHeightAt(moved.x, moved.z);
+        obj.position.set(moved.x, groundY + (obj.position.y - groundY), moved.z);
+        this._position.copy(obj.position);
+    }
 
-        let corrected = this._resolve2DCollisions(next);
-        corrected = this._resolve2DCollisions(corrected);
+    Update(timeInSeconds) {
+        if (!this._target) return;
+        this._time += timeInSeconds;
+        if (this._ownsInput) this._input.update();
+        this._UpdateStamina(timeInSeconds);
 
-        obj.position.copy(corrected);
-        this._position.copy(obj.position);
+        this._stateMachine.Update(timeInSeconds, this._Input());
 
-        if (this._mixer) this._mixer.update(timeInSeconds);
-    }
-}
+        forEachSubstep(timeInSeconds, this._fixedStep, h => this._Move(h));
 
-class BasicCharacterControllerInput {
-    constructor() { this._Init(); }
-    _Init() {
-        this._keys = { forward: false, backward: false, left: false, right: false, space: false, shift: false };
-        document.addEventListener('keydown', e => this._onKeyDown(e), false);
-        document.addEventListener('keyup', e => this._onKeyUp(e), false);
-    }
-    _onKeyDown(e) {
-        switch (e.keyCode) {
-            case 87: this._keys.forward = true; break;
-            case 65: this._keys.left = true; break;
-            case 83: this._keys.backward = true; break;
-            case 68: this._keys.right = true; break;
-            case 32: this._keys.space = true; break;
-            case 16: this._keys.shift = true; break;
-        }
-    }
-    _onKeyUp(e) {
-        switch (e.keyCode) {
-            case 87: this._keys.forward = false; break;
-            case 65: this._keys.left = false; break;
-            case 83: this._keys.backward = false; break;
-            case 68: this._keys.right = false; break;
-            case 32: this._keys.space = false; break;
-            case 16: this._keys.shift = false; break;
-        }
+        if (this._mixer) this._mixer.update(timeInSeconds);
     }
 }
 
-export { BasicCharacterController, BasicCharacterControllerProxy, BasicCharacterControllerInput };
+export { BasicCharacterController, BasicCharacterControllerProxy };
@@ -0,0 +1,196 @@
+// ChunkLayout.js
+// Room topology for streamed chunks. Pure data, no renderer needed
+
+import { SeededRandom } from './Random.js';
+
+const DIRS = {
+    N: { di: 0, dj: 1, opposite: 'S' },
+    S: { di: 0, dj: -1, opposite: 'N' },
+    E: { di: 1, dj: 0, opposite: 'W' },
+    W: { di: -1, dj: 0, opposite: 'E' },
+};
+const DIR_KEYS = ['N', 'S', 'E', 'W'];
+
+// Chance that a chunk-edge slot gets a door on top of the guaranteed one
+const EXTRA_EDGE_DOOR_CHANCE = 0.3;
+// Chance that an internal wall is opened after the maze is carved, to add loops
+const LOOP_CHANCE = 0.12;
+// Chance that an internal doorway gets a door that starts closed
+const CLOSED_DOOR_CHANCE = 0.2;
+// Chance that a chunk with a dead-end wing locks it off
+const LOCK_CHANCE = 0.5;
+
+const roomKey = (i, j) => `${i},${j}`;
+const chunkKey = (ci, cj) => `${ci},${cj}`;
+
+// Wall between two adjacent rooms, named after the south or west one of the pair
+function doorKey(i1, j1, i2, j2) {
+    if (i1 !== i2) return `${roomKey(Math.min(i1, i2), j1)}:E`;
+    return `${roomKey(i1, Math.min(j1, j2))}:N`;
+}
+
+// Chunk coordinate that owns room (i, j)
+function chunkOfRoom(i, j, size) {
+    return { ci: Math.floor(i / size), cj: Math.floor(j / size) };
+}
+
+/**
+ * Door slots on the edge between two chunks. Keyed by the edge itself so both
+ * chunks agree, and at least one slot is always open so chunks stay connected
+ * @param {number} seed
+ * @param {'x'|'z'} axis 'x' for the edge east of (ci, cj), 'z' for the edge north of it
+ * @returns {boolean[]} one flag per room along the edge
+ */
+function edgeDoors(seed, axis, ci, cj, size) {
+    const rng = new SeededRandom(seed).fork(`edge-${axis}:${ci},${cj}`);
+    const must = rng.int(size);
+    const out = [];
+    for (let k = 0; k < size; k++) out.push(k === must || rng.next() < EXTRA_EDGE_DOOR_CHANCE);
+    return out;
+}
+
+/**
+ * Doors hung in internal doorways. At most one is locked, and only in front of a
+ * wing that has no other way in: no chunk-edge doors and not the spawn room. Removing
+ * that wing leaves the rest of the chunk connected to the world, so its key is put
+ * there and can always be reached before the lock
+ */
+function placeDoors(rng, rooms, size, idx) {
+    const internal = [];
+    for (let b = 0; b < size; b++) {
+        for (let a = 0; a < size; a++) {
+            if (a + 1 < size && rooms[idx(a, b)].open.E) internal.push([idx(a, b), idx(a + 1, b)]);
+            if (b + 1 < size && rooms[idx(a, b)].open.N) internal.push([idx(a, b), idx(a, b + 1)]);
+        }
+    }
+
+    // Rooms reached from `from` without crossing the doorway between u and v
+    const wing = (from, u, v) => {
+        const seen = new Set([from]);
+        const stack = [from];
+        while (stack.length) {
+            const n = stack.pop();
+            for (const [p, q] of internal) {
+                if ((p === u && q === v) || (p !== n && q !== n)) continue;
+                const m = p === n ? q : p;
+                if (!seen.has(m)) { seen.add(m); stack.push(m); }
+            }
+        }
+        return seen;
+    };
+    const external = (n) => {
+        const { i, j, open } = rooms[n];
+        const a = i - Math.floor(i / size) * size, b = j - Math.floor(j / size) * size;
+        return (open.W && a === 0) || (open.E && a === size - 1) || (open.S && b === 0) || (open.N && b === size - 1);
+    };
+
+    const candidates = [];
+    for (const [u, v] of internal) {
+        for (const [near, far] of [[u, v], [v, u]]) {
+            const behind = wing(far, u, v);
+            if (behind.has(near)) continue;
+            if ([...behind].some(n => external(n) || rooms[n].key === roomKey(0, 0))) continue;
+            candidates.push({ near, far, behind });
+        }
+    }
+
+    const doors = [];
+    const locked = rng.next() < LOCK_CHANCE ? rng.pick(candidates) : undefined;
+    let lock = null;
+    if (locked) {
+        const front = rooms.map((_, n) => n).filter(n => !locked.behind.has(n));
+        // Not right at the door when there is anywhere else to put it
+        const away = front.filter(n => n !== locked.near);
+        const keyRoom = rng.pick(away.length ? away : front);
+        const { i, j } = rooms[locked.near], far = rooms[locked.far];
+        lock = {
+            door: doorKey(i, j, far.i, far.j),
+            keyRoom: rooms[keyRoom].key,
+            behind: [...locked.behind].map(n => rooms[n].key),
+        };
+        doors.push({ key: lock.door, state: 'locked' });
+    }
+    for (const [u, v] of internal) {
+        const key = doorKey(rooms[u].i, rooms[u].j, rooms[v].i, rooms[v].j);
+        // Roll every doorway, so a lock does not shift the others
+        if (rng.next() < CLOSED_DOOR_CHANCE && (!lock || key !== lock.door)) doors.push({ key, state: 'closed' });
+    }
+    return { doors, locks: lock ? [lock] : [] };
+}
+
+/**
+ * Deterministic layout of one chunk: a DFS maze with a few loops inside, plus
+ * doors shared with the four neighboring chunks. Some internal doorways get a door
+ * ('closed' or 'locked'); each lock names the room holding its key and the rooms behind it
+ * @returns {{ci:number, cj:number, key:string,
+ *   rooms:Array<{i:number, j:number, key:string, open:{N:boolean,S:boolean,E:boolean,W:boolean}}>,
+ *   doors:Array<{key:string, state:string}>,
+ *   locks:Array<{door:string, keyRoom:string, behind:string[]}>}}
+ */
+function generateChunk(seed, ci, cj, size) {
+    const rng = new SeededRandom(seed).fork(`chunk:${ci},${cj}`);
+    const idx = (a, b) => b * size + a;
+    const inBounds = (a, b) => a >= 0 && a < size && b >= 0 && b < size;
+
+    const open = Array.from({ length: size * size }, () => ({ N: false, S: false, E: false, W: false }));
+    const visited = new Array(size * size).fill(false);
+
+    // Carve a spanning tree
+    const start = { a: rng.int(size), b: rng.int(size) };
+    const stack = [start];
+    visited[idx(start.a, start.b)] = true;
+    while (stack.length) {
+        const top = stack[stack.length - 1];
+        let advanced = false;
+        for (const d of rng.shuffle(DIR_KEYS.slice())) {
+            const na = top.a + DIRS[d].di, nb = top.b + DIRS[d].dj;
+            if (!inBounds(na, nb) || visited[idx(na, nb)]) continue;
+            open[idx(top.a, top.b)][d] = true;
+            open[idx(na, nb)][DIRS[d].opposite] = true;
+            visited[idx(na, nb)] = true;
+            stack.push({ a: na, b: nb });
+            advanced = true;
+            break;
+        }
+        if (!advanced) stack.pop();
+    }
+
+    // A few loops so it is not a pure tree
+    for (let b = 0; b < size; b++) {
+        for (let a = 0; a < size; a++) {
+            if (a + 1 < size && !open[idx(a, b)].E && rng.next() < LOOP_CHANCE) {
+                open[idx(a, b)].E = true;
+                open[idx(a + 1, b)].W = true;
+            }
+            if (b + 1 < size && !open[idx(a, b)].N && rng.next() < LOOP_CHANCE) {
+                open[idx(a, b)].N = true;
+                open[idx(a, b + 1)].S = true;
+            }
+        }
+    }
+
+    // Doors shared with neighbors
+    const east = edgeDoors(seed, 'x', ci, cj, size);
+    const west = edgeDoors(seed, 'x', ci - 1, cj, size);
+    const north = edgeDoors(seed, 'z', ci, cj, size);
+    const south = edgeDoors(seed, 'z', ci, cj - 1, size);
+    for (let k = 0; k < size; k++) {
+        if (east[k]) open[idx(size - 1, k)].E = true;
+        if (west[k]) open[idx(0, k)].W = true;
+        if (north[k]) open[idx(k, size - 1)].N = true;
+        if (south[k]) open[idx(k, 0)].S = true;
+    }
+
+    const rooms = [];
+    for (let b = 0; b < size; b++) {
+        for (let a = 0; a < size; a++) {
+            const i = ci * size + a, j = cj * size + b;
+            rooms.push({ i, j, key: roomKey(i, j), open: open[idx(a, b)] });
+        }
+    }
+    // Own stream, so doors leave the maze itself unchanged
+    const { doors, locks } = placeDoors(new SeededRandom(seed).fork(`doors:${ci},${cj}`), rooms, size, idx);
+    return { ci, cj, key: chunkKey(ci, cj), rooms, doors, locks };
+}
+
+export { DIRS, DIR_KEYS, roomKey, chunkKey, doorKey, chunkOfRoom, edgeDoors, generateChunk };
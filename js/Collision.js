@@ -0,0 +1,201 @@
+// Collision.js
+// Circle vs axis-aligned box collision on the XZ plane, shared by the player and enemies.
+// Pure math on {minX,maxX,minZ,maxZ} rects, so it runs headless
+
+// Distance kept between a resting circle and the surface it slid along
+const SKIN = 1e-3;
+
+/**
+ * Rects near an XZ box. A collider source is either a plain rect array or a
+ * query function (minX, maxX, minZ, maxZ, out) => rects such as Terrain.queryColliders
+ */
+function collidersNear(source, minX, maxX, minZ, maxZ, out) {
+    if (typeof source === 'function') return source(minX, maxX, minZ, maxZ, out);
+    return source || [];
+}
+
+/**
+ * Depenetration: a circle overlapping a rect is pushed out along the shortest
+ * way, around rounded corners, and along the shortest axis when its center is
+ * inside the box. Safety net for circles that start inside a box
+ * @returns {{x:number, z:number}}
+ */
+function resolveOverlaps(x, z, r, rects, passes = 2) {
+    for (let p = 0; p < passes; p++) {
+        let moved = false;
+        for (const rect of rects) {
+            const qx = Math.max(rect.minX, Math.min(rect.maxX, x));
+            const qz = Math.max(rect.minZ, Math.min(rect.maxZ, z));
+            const ox = x - qx, oz = z - qz;
+            const d2 = ox * ox + oz * oz;
+            if (d2 >= r * r) continue;
+
+            if (d2 > 1e-12) {
+                const d = Math.sqrt(d2);
+                x = qx + (ox / d) * r;
+                z = qz + (oz / d) * r;
+            } else {
+                const exmin = rect.minX - r;
+                const exmax = rect.maxX + r;
+                const ezmin = rect.minZ - r;
+                const ezmax = rect.maxZ + r;
+                const pushLeft = Math.abs(x - exmin);
+                const pushRight = Math.abs(exmax - x);
+                const pushDown = Math.abs(z - ezmin);
+                const pushUp = Math.abs(ezmax - z);
+                const minPush = Math.min(pushLeft, pushRight, pushDown, pushUp);
+                if (minPush === pushLeft) x = exmin;
+                else if (minPush === pushRight) x = exmax;
+                else if (minPush === pushDown) z = ezmin;
+                else z = ezmax;
+            }
+            moved = true;
+        }
+        if (!moved) break;
+    }
+    return { x, z };
+}
+
+/**
+ * Time of impact of a circle moving from (ox, oz) by (dx, dz) against one rect,
+ * with properly rounded corners. A circle that starts overlapping the rect hits at
+ * t = 0 if it moves further in
+ * @returns {{t:number, nx:number, nz:number}|null} t in [0, 1] and the surface normal, null on a miss
+ */
+function sweepCircleRect(ox, oz, dx, dz, r, rect) {
+    const minX = rect.minX - r, maxX = rect.maxX + r;
+    const minZ = rect.minZ - r, maxZ = rect.maxZ + r;
+
+    // Already overlapping: a hit at t = 0 when moving further in, so the move cannot pass
+    // through unswept; moving out is free. resolveOverlaps pushes the circle clear afterwards
+    if (ox > minX && ox < maxX && oz > minZ && oz < maxZ) {
+        const inX = ox >= rect.minX && ox <= rect.maxX;
+        const inZ = oz >= rect.minZ && oz <= rect.maxZ;
+        let nx = 0, nz = 0, overlapping = true;
+        if (inX && inZ) {
+            // Center inside the box: out through the nearest face
+            const push = [ox - minX, maxX - ox, oz - minZ, maxZ - oz];
+            const k = push.indexOf(Math.min(...push));
+            if (k < 2) nx = k === 0 ? -1 : 1; else nz = k === 2 ? -1 : 1;
+        } else if (inX) {
+            nz = oz < rect.minZ ? -1 : 1;
+        } else if (inZ) {
+            nx = ox < rect.minX ? -1 : 1;
+        } else {
+            // In a corner region of the expanded box but maybe outside the rounded corner
+            const cx = ox < rect.minX ? rect.minX : rect.maxX;
+            const cz = oz < rect.minZ ? rect.minZ : rect.maxZ;
+            const len = Math.hypot(ox - cx, oz - cz);
+            overlapping = len < r;
+            if (overlapping) { nx = (ox - cx) / (len || 1); nz = (oz - cz) / (len || 1); }
+        }
+        if (overlapping) return dx * nx + dz * nz < 0 ? { t: 0, nx, nz } : null;
+    }
+
+    // Ray vs expanded box (slab method)
+    let tEnter = -Infinity, tExit = Infinity, nx = 0, nz = 0;
+
+    if (Math.abs(dx) < 1e-12) {
+        if (ox < minX || ox > maxX) return null;
+    } else {
+        let t1 = (minX - ox) / dx, t2 = (maxX - ox) / dx, n = -1;
+        if (t1 > t2) { const tmp = t1; t1 = t2; t2 = tmp; n = 1; }
+        if (t1 > tEnter) { tEnter = t1; nx = n; nz = 0; }
+        if (t2 < tExit) tExit = t2;
+    }
+    if (Math.abs(dz) < 1e-12) {
+        if (oz < minZ || oz > maxZ) return null;
+    } else {
+        let t1 = (minZ - oz) / dz, t2 = (maxZ - oz) / dz, n = -1;
+        if (t1 > t2) { const tmp = t1; t1 = t2; t2 = tmp; n = 1; }
+        if (t1 > tEnter) { tEnter = t1; nx = 0; nz = n; }
+        if (t2 < tExit) tExit = t2;
+    }
+
+    if (tEnter > tExit || tExit < 0 || tEnter > 1) return null;
+    if (tEnter < 0) tEnter = 0;
+
+    // Face hit unless the entry point is in a corner region of the expanded box
+    const px = ox + dx * tEnter, pz = oz + dz * tEnter;
+    if ((px >= rect.minX && px <= rect.maxX) || (pz >= rect.minZ && pz <= rect.maxZ)) {
+        return { t: tEnter, nx, nz };
+    }
+
+    // Corner: sweep against the circle of radius r around the box corner
+    const cx = px < rect.minX ? rect.minX : rect.maxX;
+    const cz = pz < rect.minZ ? rect.minZ : rect.maxZ;
+    const fx = ox - cx, fz = oz - cz;
+    const a = dx * dx + dz * dz;
+    const b = 2 * (fx * dx + fz * dz);
+    const c = fx * fx + fz * fz - r * r;
+    const disc = b * b - 4 * a * c;
+    if (a < 1e-12 || disc < 0) return null;
+    const t = (-b - Math.sqrt(disc)) / (2 * a);
+    if (t < 0 || t > 1) return null;
+
+    const hx = fx + dx * t, hz = fz + dz * t;
+    const len = Math.hypot(hx, hz) || 1;
+    return { t, nx: hx / len, nz: hz / len };
+}
+
+/**
+ * Move a circle by (dx, dz) with continuous collision. Stops at the first
+ * contact, slides the rest of the motion along the surface and repeats, so
+ * fast movers cannot tunnel through thin walls
+ * @param {Array|Function} source collider source, see collidersNear
+ * @returns {{x:number, z:number, hit:boolean}}
+ */
+function moveCircle(x, z, dx, dz, r, source, iterations = 4) {
+    const near = [];
+    let hit = false;
+
+    for (let it = 0; it < iterations; it++) {
+        if (dx * dx + dz * dz < 1e-12) break;
+
+        const rects = collidersNear(source,
+            Math.min(x, x + dx) - r, Math.max(x, x + dx) + r,
+            Math.min(z, z + dz) - r, Math.max(z, z + dz) + r, near);
+
+        let best = null;
+        for (const rect of rects) {
+            const h = sweepCircleRect(x, z, dx, dz, r, rect);
+            if (h && (!best || h.t < best.t)) best = h;
+        }
+
+        if (!best) {
+            x += dx; z += dz;
+            dx = 0; dz = 0;
+            break;
+        }
+
+        hit = true;
+        x += dx * best.t + best.nx * SKIN;
+        z += dz * best.t + best.nz * SKIN;
+
+        // Slide: keep the remaining motion minus its component into the surface
+        let rx = dx * (1 - best.t), rz = dz * (1 - best.t);
+        const into = rx * best.nx + rz * best.nz;
+        if (into < 0) { rx -= into * best.nx; rz -= into * best.nz; }
+        dx = rx; dz = rz;
+    }
+
+    const pad = r * 4;
+    const out = resolveOverlaps(x, z, r, collidersNear(source, x - pad, x + pad, z - pad, z + pad, near));
+    return { x: out.x, z: out.z, hit };
+}
+
+/**
+ * Split dt into equal substeps no longer than maxStep. A falsy maxStep runs a single step
+ * @param {(h:number) => void} fn
+ */
+function forEachSubstep(dt, maxStep, fn, maxSteps = 8) {
+    if (!maxStep || dt <= maxStep) {
+        fn(dt);
+        return;
+    }
+    const n = Math.min(maxSteps, Math.ceil(dt / maxStep));
+    const h = dt / n;
+    for (let k = 0; k < n; k++) fn(h);
+}
+
+export { collidersNear, resolveOverlaps, sweepCircleRect, moveCircle, forEachSubstep };
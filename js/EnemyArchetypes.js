@@ -0,0 +1,198 @@
+// EnemyArchetypes.js
+// Enemy types defined as data: model, animations, stats and behavior flags in one JSON
+// file each (resources/enemies/). EnemyFactory validates them and builds EnemyControllers
+import { EnemyController } from './EnemyController.js';
+import { AssetCache } from './AssetCache.js';
+
+/**
+ * Every field an archetype may set, by path in the JSON. param is the EnemyController
+ * param it feeds; to converts units. Unknown fields are errors so typos do not pass silently
+ */
+const ARCHETYPE_FIELDS = {
+    'name': { type: 'string', required: true },
+    'label': { type: 'string' },
+    'spawnWeight': { type: 'number', min: 0 },
+
+    'model.path': { type: 'string', required: true, param: 'fbxPath' },
+    'model.file': { type: 'string', required: true, param: 'modelFile' },
+    'model.scale': { type: 'number', min: 0.001, param: 'scale' },
+
+    'animations.idle': { type: 'string', required: true, param: 'idleFile' },
+    'animations.walk': { type: 'string', required: true, param: 'walkFile' },
+    'animations.run': { type: 'string', param: 'runFile' },
+    'animations.attack': { type: 'string', param: 'attackFile' },
+    'animations.hurt': { type: 'string', param: 'hurtFile' },
+    'animations.death': { type: 'string', param: 'deathFile' },
+
+    'stats.hpMax': { type: 'number', min: 1, param: 'hpMax' },
+    'stats.radius': { type: 'number', min: 1, param: 'radius' },
+    'stats.speedWalk': { type: 'number', min: 0, param: 'speedWalk' },
+    'stats.speedRun': { type: 'number', min: 0, param: 'speedRun' },
+    'stats.attackDamage': { type: 'number', min: 0, param: 'attackDamage' },
+    'stats.attackCooldown': { type: 'number', min: 0, param: 'attackCooldown' },
+    'stats.attackRange': { type: 'number', min: 0, param: 'attackRange' },
+    'stats.attackHysteresis': { type: 'number', min: 0, param: 'attackHysteresis' },
+    'stats.minAttackHold': { type: 'number', min: 0, param: 'minAttackHold' },
+    'stats.hurtKnockback': { type: 'number', min: 0, param: 'hurtKnockback' },
+
+    'senses.viewRange': { type: 'number', min: 0, param: 'aggroRange' },
+    'senses.viewAngle': { type: 'number', min: 1, max: 360, param: 'viewAngle', to: deg => deg * Math.PI / 180 },
+    'senses.hearing': { type: 'number', min: 0, param: 'hearing' },
+    'senses.memory': { type: 'number', min: 0, param: 'memory' },
+
+    'behavior.patrol': { type: 'boolean', param: 'patrol' },
+    'behavior.onlyMovesUnseen': { type: 'boolean', param: 'onlyMovesUnseen' },
+    'behavior.keepDistance': { type: 'number', min: 0, param: 'keepDistance' },
+};
+
+// Object-valued sections that may appear at the top level
+const SECTIONS = new Set(Object.keys(ARCHETYPE_FIELDS).filter(k => k.includes('.')).map(k => k.split('.')[0]));
+
+function readPath(obj, path) {
+    let v = obj;
+    for (const part of path.split('.')) {
+        if (v === null || typeof v !== 'object') return undefined;
+        v = v[part];
+    }
+    return v;
+}
+
+/**
+ * Problems with a definition, one readable message each. Empty when it is valid.
+ * null counts as absent, so optional animations can be switched off explicitly
+ * @returns {string[]}
+ */
+function validateArchetype(def) {
+    if (def === null || typeof def !== 'object' || Array.isArray(def)) return ['definition must be a JSON object'];
+    const errors = [];
+
+    for (const [key, value] of Object.entries(def)) {
+        if (SECTIONS.has(key)) {
+            if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`${key} must be an object`);
+                continue;
+            }
+            for (const sub of Object.keys(value)) {
+                if (!ARCHETYPE_FIELDS[`${key}.${sub}`]) errors.push(`${key}.${sub} is not a known field`);
+            }
+        } else if (!ARCHETYPE_FIELDS[key]) {
+            errors.push(`${key} is not a known field`);
+        }
+    }
+
+    for (const [path, spec] of Object.entries(ARCHETYPE_FIELDS)) {
+        const v = readPath(def, path);
+        if (v === undefined || v === null) {
+            if (spec.required) errors.push(`${path} is required`);
+            continue;
+        }
+        if (spec.type === 'number') {
+            if (typeof v !== 'number' || !Number.isFinite(v)) {
+                errors.push(`${path} must be a number, got ${JSON.stringify(v)}`);
+            } else if (spec.min !== undefined && v < spec.min) {
+                errors.push(`${path} must be at least ${spec.min}, got ${v}`);
+            } else if (spec.max !== undefined && v > spec.max) {
+                errors.push(`${path} must be at most ${spec.max}, got ${v}`);
+            }
+        } else if (typeof v !== spec.type) {
+            errors.push(`${path} must be a ${spec.type}, got ${JSON.stringify(v)}`);
+        } else if (spec.type === 'string' && !v.trim()) {
+            errors.push(`${path} must not be empty`);
+        }
+    }
+
+    const walk = readPath(def, 'stats.speedWalk'), run = readPath(def, 'stats.speedRun');
+    if (typeof walk === 'number' && typeof run === 'number' && run < walk) {
+        errors.push(`stats.speedRun (${run}) must not be below stats.speedWalk (${walk})`);
+    }
+    return errors;
+}
+
+// EnemyController params for a valid definition
+function archetypeToParams(def) {
+    const params = {};
+    for (const [path, spec] of Object.entries(ARCHETYPE_FIELDS)) {
+        if (!spec.param) continue;
+        const v = readPath(def, path);
+        if (v === undefined || v === null) continue;
+        params[spec.param] = spec.to ? spec.to(v) : v;
+    }
+    return params;
+}
+
+class EnemyFactory {
+    /**
+     * @param {object} [params]
+     * params.assets: AssetCache used to fetch definition files
+     */
+    constructor(params = {}) {
+        this._assets = params.assets || new AssetCache();
+        this._types = new Map(); // name -> { def, params }
+        // (url, message) => void, for definition files that are missing or invalid
+        this.onError = null;
+    }
+
+    get names() { return [...this._types.keys()]; }
+
+    has(name) { return this._types.has(name); }
+
+    get(name) { return this._types.get(name)?.def ?? null; }
+
+    /**
+     * Register a definition. Throws one Error listing every problem when it is invalid
+     * @param {string} [source] file name for the message
+     */
+    define(def, source = 'definition') {
+        const errors = validateArchetype(def);
+        if (!errors.length && this._types.has(def.name)) errors.push(`name "${def.name}" is already defined`);
+        if (errors.length) throw new Error(`Invalid enemy archetype ${source}: ${errors.join('; ')}`);
+        this._types.set(def.name, { def, params: archetypeToParams(def) });
+        return def.name;
+    }
+
+    /**
+     * Fetch and register definition files
+     * @returns {Promise<boolean>} true when every file loaded and was valid
+     */
+    load(urls) {
+        return Promise.all(urls.map(url => this._assets.json(url).then((def) => {
+            // Missing files were already reported by the AssetCache
+            if (!def) return false;
+            try {
+                this.define(def, url);
+                return true;
+            } catch (err) {
+                console.error(err.message);
+                if (this.onError) this.onError(url, err.message);
+                return false;
+            }
+        }))).then(results => results.every(Boolean));
+    }
+
+    // Model and clip files every registered type needs, for AssetCache.preload
+    requiredAssets() {
+        const fbx = new Set();
+        for (const { params } of this._types.values()) {
+            for (const url of EnemyController.requiredAssets(params).fbx) fbx.add(url);
+        }
+        return { fbx: [...fbx] };
+    }
+
+    // Archetype name picked by spawnWeight (default 1) with a SeededRandom
+    pickName(rng) {
+        const entries = [...this._types.values()];
+        return rng.pickWeighted(entries, e => e.def.spawnWeight ?? 1)?.def.name ?? null;
+    }
+
+    /**
+     * New EnemyController of a registered type. params carries the world wiring
+     * (scene, colliders, callbacks) and wins over the archetype
+     */
+    create(name, params = {}) {
+        const type = this._types.get(name);
+        if (!type) throw new Error(`Unknown enemy archetype "${name}"`);
+        return new EnemyController({ ...type.params, ...params, archetype: name });
+    }
+}
+
+export { EnemyFactory, validateArchetype, archetypeToParams, ARCHETYPE_FIELDS };
@@ -1,8 +1,21 @@
 // EnemyController.js
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.118/build/three.module.js';
-import { FBXLoader } from 'https://cdn.jsdelivr.net/npm/three@0.118.1/examples/jsm/loaders/FBXLoader.js';
+import { AssetCache } from './AssetCache.js';
+import { moveCircle, forEachSubstep } from './Collision.js';
+import { Perception } from './Perception.js';
+import { SeededRandom } from './Random.js';
 
 class EnemyController {
+    // Files an enemy built from these params cannot play without, for AssetCache.preload.
+    // The model is not one of them: a placeholder figure stands in when it is missing
+    static requiredAssets(params = {}) {
+        const path = params.fbxPath || './resources/enemy/';
+        const files = [params.idleFile || 'idle.fbx', params.walkFile || 'walk.fbx'];
+        if (params.runFile) files.push(params.runFile);
+        if (params.attackFile) files.push(params.attackFile);
+        return { fbx: files.map(f => `${path}${f}`) };
+    }
+
     constructor(params) {
         this._params = params;
 
@@ -11,16 +24,63 @@ class EnemyController {
         this._radius = typeof params.radius === 'number' ? params.radius : 8;
         this._targetRadius = typeof params.targetRadius === 'number' ? params.targetRadius : 6;
         this._colliders = Array.isArray(params.colliders) ? params.colliders : [];
+        this._queryColliders = typeof params.queryColliders === 'function' ? params.queryColliders : null;
+        this._fixedStep = typeof params.fixedStep === 'number' ? params.fixedStep : 1 / 60;
 
         // Speeds
         this._speedWalk = typeof params.speedWalk === 'number' ? params.speedWalk : 22;
         this._speedRun = typeof params.speedRun === 'number' ? params.speedRun : 40;
 
-        // Behavior ranges
+        // Behavior ranges. aggroRange is how far the enemy sees
         this._aggroRange = typeof params.aggroRange === 'number' ? params.aggroRange : 450;
         this._deaggroRange = this._aggroRange * 1.25;
         this._attackMargin = typeof params.attackMargin === 'number' ? params.attackMargin : 1.0;
         this._attackHysteresis = typeof params.attackHysteresis === 'number' ? params.attackHysteresis : 20;
+        // Reach beyond contact, for ranged attackers. Needs line of sight like any attack
+        this._attackRange = typeof params.attackRange === 'number' ? params.attackRange : 0;
+        // A chasing enemy that sees its target stops this far from it
+        this._keepDistance = typeof params.keepDistance === 'number' ? params.keepDistance : 0;
+
+        // Senses. The enemy only reacts to what it sees in its view cone or hears;
+        // getTargetNoise() => hearing radius of the target's footsteps, 0 when silent;
+        // getVisibility(x, z) => how well lit that spot is, 0..1, for seeing less in the dark
+        this._perception = new Perception({
+            colliders: params.queryColliders || params.colliders || null,
+            viewRange: this._aggroRange,
+            viewAngle: params.viewAngle,
+            senseRange: params.senseRange,
+            hearing: params.hearing,
+            memory: params.memory,
+            visibility: params.getVisibility,
+        });
+        this._getTargetNoise = typeof params.getTargetNoise === 'function' ? params.getTargetNoise : (() => 0);
+
+        // Losing the target: walk to where it was last sensed, then look around for a while
+        this._goal = null;              // {x, z} being investigated or chased without sight
+        this._goalRadius = typeof params.goalRadius === 'number' ? params.goalRadius : 20;
+        this._searchDuration = typeof params.searchDuration === 'number' ? params.searchDuration : 6;
+        this._investigateTimeout = typeof params.investigateTimeout === 'number' ? params.investigateTimeout : 15;
+        this._stateTime = 0;            // seconds in the current state
+        this._searchYaw = 0;
+
+        // Patrol: between pauses, walk to a neighboring room picked from
+        // getPatrolTargets(pos) => [{key, x, z, weight}]. rng makes routes reproducible
+        this._getPatrolTargets = typeof params.getPatrolTargets === 'function' && params.patrol !== false ? params.getPatrolTargets : null;
+        this._rng = params.rng && typeof params.rng.next === 'function' ? params.rng : new SeededRandom();
+        this._patrolPause = Array.isArray(params.patrolPause) ? params.patrolPause : [1.5, 4];
+        // Weight multiplier for walking straight back into the room just left
+        this._backtrackWeight = typeof params.backtrackWeight === 'number' ? params.backtrackWeight : 0.25;
+        this._patrolKey = null;         // room being walked to
+        this._patrolPrev = null;        // room walked to before it
+        this._idlePause = this._rng.range(this._patrolPause[0] * 0.5, this._patrolPause[1] * 0.5);
+
+        // Archetype name when built by EnemyFactory
+        this._archetype = typeof params.archetype === 'string' ? params.archetype : null;
+
+        // Freezes in place, animation included, while isObserved(position) says the player is looking
+        this._onlyMovesUnseen = !!params.onlyMovesUnseen;
+        this._isObserved = typeof params.isObserved === 'function' ? params.isObserved : null;
+        this._frozen = false;
 
         // Timers for state stability
         this._attackCooldown = typeof params.attackCooldown === 'number' ? params.attackCooldown : 0.8;
@@ -53,6 +113,14 @@ class EnemyController {
         // Health
         this._hpMax = typeof params.hpMax === 'number' ? params.hpMax : 60;
         this._hp = this._hpMax;
+        this._onHpChange = typeof params.onHpChange === 'function' ? params.onHpChange : (() => { });
+
+        // Death
+        this.onDeath = typeof params.onDeath === 'function' ? params.onDeath : null;
+        this._dead = false;
+        this._deathTime = -Infinity;
+        this._deathDuration = typeof params.deathDuration === 'number' ? params.deathDuration : 1.2;
+        this._corpseDuration = typeof params.corpseDuration === 'number' ? params.corpseDuration : 4.0;
 
         // Hurt and invuln
         this._hurtActive = false;
@@ -72,21 +140,46 @@ class EnemyController {
             ? params.getTargetPosition
             : () => new THREE.Vector3();
 
+        // Navigation. findPath(from, to) => waypoints, e.g. Terrain.findPath
+        this._findPath = typeof params.findPath === 'function' ? params.findPath : null;
+        this._repathInterval = typeof params.repathInterval === 'number' ? params.repathInterval : 0.5;
+        this._waypointRadius = typeof params.waypointRadius === 'number' ? params.waypointRadius : 12;
+        this._path = [];
+        this._repathTimer = 0;
+
         // Animation
         this._mixer = null;
         this._anims = {};
         this._currentAction = null;
 
-        // Scene object
+        // Scene object. The placeholder stands in for a missing model and is owned by this enemy
         this._obj = null;
+        this._placeholder = null;
+        this._disposed = false;
+
+        // Shared model and clips, so spawns and restarts do not reload files
+        this._assets = params.assets || new AssetCache();
 
         this._load();
     }
 
     get object3D() { return this._obj; }
+    get radius() { return this._radius; }
+    get hp() { return this._hp; }
+    get hpMax() { return this._hpMax; }
+    get isDead() { return this._dead; }
+    // idle, patrol, investigate, search, chase, attack or dead
+    get state() { return this._state; }
+    get canSeeTarget() { return this._perception.canSee; }
+    get archetype() { return this._archetype; }
+    // Held still by the player's gaze this frame
+    get isFrozen() { return this._frozen; }
+    // Dead long enough for the body to be cleaned up
+    get isExpired() { return this._dead && this._time - this._deathTime >= this._deathDuration + this._corpseDuration; }
 
     // HP API
     damage(n, hitDir = null) {
+        if (this._dead) return;
         const now = this._time;
         if (now < this._invulnEndTime) return; // invulnerability
 
@@ -94,13 +187,15 @@ class EnemyController {
         if (amount <= 0) return;
 
         this._hp = Math.max(0, this._hp - amount);
+        this._onHpChange(this._hp, this._hpMax);
 
         // Stop attack and start cooldown
         this._attackPlaying = false;
         this._lastAttackEnd = this._time;
 
-        // Enter hurt
-        this._triggerHurt();
+        // Enter hurt, or die
+        if (this._hp <= 0) this._die();
+        else this._triggerHurt();
 
         // Knockback
         if (this._hurtKnockback > 0 && this._obj) {
@@ -113,28 +208,91 @@ class EnemyController {
                 if (toEnemy.lengthSq() > 1e-6) dir.copy(toEnemy).normalize();
             }
             if (dir.lengthSq() > 0) {
-                const next = this._obj.position.clone().addScaledVector(dir, this._hurtKnockback);
-                const resolved = this._resolveAABBCollisions(next);
-                this._obj.position.copy(resolved);
+                this._moveBy(dir.x * this._hurtKnockback, dir.z * this._hurtKnockback);
             }
         }
     }
 
     heal(n) {
+        if (this._dead) return;
         this._hp = Math.min(this._hpMax, this._hp + Math.max(0, n | 0));
+        this._onHpChange(this._hp, this._hpMax);
     }
 
     setMaxHp(n) {
         this._hpMax = Math.max(1, n | 0);
         this._hp = Math.min(this._hp, this._hpMax);
+        this._onHpChange(this._hp, this._hpMax);
+    }
+
+    _die() {
+        if (this._dead) return;
+        this._dead = true;
+        this._state = 'dead';
+        this._deathTime = this._time;
+        this._hurtActive = false;
+        this._attackPlaying = false;
+        this._velocity.set(0, 0, 0);
+        this._path = [];
+
+        if (this._anims.death) this._play('death', 0.1, true);
+        else if (this._currentAction) this._currentAction.fadeOut(this._deathDuration);
+
+        if (this.onDeath) this.onDeath(this);
+    }
+
+    // Remove from the scene and release the mixer
+    dispose() {
+        this._disposed = true;
+        if (this._mixer) {
+            this._mixer.stopAllAction();
+            if (this._obj) this._mixer.uncacheRoot(this._obj);
+        }
+        if (this._obj && this._obj.parent) this._obj.parent.remove(this._obj);
+        if (this._placeholder) {
+            this._placeholder.traverse((o) => {
+                if (!o.isMesh) return;
+                o.geometry.dispose();
+                o.material.dispose();
+            });
+        }
+        this._obj = null;
+        this._placeholder = null;
+        this._mixer = null;
+    }
+
+    // Faceless figure with glowing eyes, used without a model. No rig, so no clips either
+    _buildPlaceholder() {
+        const group = new THREE.Group();
+        const height = 20;
+        const body = new THREE.Mesh(
+            new THREE.CylinderGeometry(this._radius * 0.5, this._radius * 0.7, height, 8),
+            new THREE.MeshLambertMaterial({ color: 0x1c1a16 }));
+        body.position.y = height / 2;
+        body.castShadow = true;
+        group.add(body);
+        // Eyes on the +Z side, which the controller treats as forward
+        for (const side of [-1, 1]) {
+            const eye = new THREE.Mesh(new THREE.SphereGeometry(0.7, 6, 4), new THREE.MeshBasicMaterial({ color: 0xff3a2a }));
+            eye.position.set(side * 1.6, height - 3, this._radius * 0.5);
+            group.add(eye);
+        }
+        return group;
     }
 
     _load() {
-        const loader = new FBXLoader();
-        loader.setPath(this._params.fbxPath || './resources/enemy/');
+        const path = this._params.fbxPath || './resources/enemy/';
         const modelFile = this._params.modelFile || 'enemy.fbx';
 
-        loader.load(modelFile, (fbx) => {
+        this._assets.model(`${path}${modelFile}`, true).then((fbx) => {
+            if (this._disposed) return;
+            if (!fbx) {
+                this._placeholder = this._buildPlaceholder();
+                this._obj = this._placeholder;
+                this._obj.position.copy(this._startPosition);
+                this._params.scene.add(this._obj);
+                return;
+            }
             const scale = this._params.scale || 0.3;
             fbx.scale.setScalar(scale);
             fbx.traverse((o) => {
@@ -162,20 +320,9 @@ class EnemyController {
 
             this._mixer = new THREE.AnimationMixer(this._obj);
 
-            const manager = new THREE.LoadingManager();
-            manager.onLoad = () => {
-                if (this._anims.attack?.clip?.duration) {
-                    this._attackDuration = this._anims.attack.clip.duration;
-                }
-                if (this._anims.hurt?.clip?.duration) {
-                    this._hurtDuration = this._anims.hurt.clip.duration;
-                }
-                this._play('idle');
-            };
-
-            const onAnim = (name, a) => {
-                if (!a || !a.animations || !a.animations.length) return;
-                const clip = a.animations[0];
+            // Missing clips are reported by the AssetCache and arrive as null
+            const onAnim = (name, clip) => {
+                if (!clip || this._disposed) return;
                 const action = this._mixer.clipAction(clip);
                 if (name === 'attack') {
                     action.setLoop(THREE.LoopOnce, 0);
@@ -187,24 +334,42 @@ class EnemyController {
                     action.clampWhenFinished = true;
                     this._hurtDuration = clip.duration || this._hurtDuration;
                 }
+                if (name === 'death') {
+                    action.setLoop(THREE.LoopOnce, 0);
+                    action.clampWhenFinished = true;
+                    this._deathDuration = clip.duration || this._deathDuration;
+                }
                 this._anims[name] = { clip, action };
             };
 
-            const animLoader = new FBXLoader(manager);
-            animLoader.setPath(this._params.fbxPath || './resources/enemy/');
-
             const idleFile = this._params.idleFile || 'idle.fbx';
             const walkFile = this._params.walkFile || 'walk.fbx';
             const runFile = this._params.runFile || null;
             const attackFile = this._params.attackFile || null;
             const hurtFile = this._params.hurtFile || 'hurt.fbx'; // optional
-
-            animLoader.load(idleFile, (a) => onAnim('idle', a));
-            animLoader.load(walkFile, (a) => onAnim('walk', a));
-            if (runFile) animLoader.load(runFile, (a) => onAnim('run', a));
-            if (attackFile) animLoader.load(attackFile, (a) => onAnim('attack', a));
-            // Load hurt and ignore failure
-            animLoader.load(hurtFile, (a) => onAnim('hurt', a), undefined, () => { });
+            const deathFile = this._params.deathFile || null; // optional, falls back to a topple
+
+            const clip = (file, optional) => this._assets.clip(`${path}${file}`, optional);
+            const loads = [
+                clip(idleFile).then(c => onAnim('idle', c)),
+                clip(walkFile).then(c => onAnim('walk', c)),
+            ];
+            if (runFile) loads.push(clip(runFile).then(c => onAnim('run', c)));
+            if (attackFile) loads.push(clip(attackFile).then(c => onAnim('attack', c)));
+            // Optional clips only warn when missing
+            loads.push(clip(hurtFile, true).then(c => onAnim('hurt', c)));
+            if (deathFile) loads.push(clip(deathFile, true).then(c => onAnim('death', c)));
+
+            Promise.all(loads).then(() => {
+                if (this._disposed) return;
+                if (this._anims.attack?.clip?.duration) {
+                    this._attackDuration = this._anims.attack.clip.duration;
+                }
+                if (this._anims.hurt?.clip?.duration) {
+                    this._hurtDuration = this._anims.hurt.clip.duration;
+                }
+                this._play('idle');
+            });
         });
     }
 
@@ -255,29 +420,12 @@ class EnemyController {
         this._play('hurt', 0.06, true);
     }
 
-    _resolveAABBCollisions(next) {
-        let x = next.x, z = next.z;
-        const r = this._radius;
-
-        for (const rect of this._colliders) {
-            const exmin = rect.minX - r;
-            const exmax = rect.maxX + r;
-            const ezmin = rect.minZ - r;
-            const ezmax = rect.maxZ + r;
-
-            if (x >= exmin && x <= exmax && z >= ezmin && z <= ezmax) {
-                const pushLeft = Math.abs(x - exmin);
-                const pushRight = Math.abs(exmax - x);
-                const pushDown = Math.abs(z - ezmin);
-                const pushUp = Math.abs(ezmax - z);
-                const minPush = Math.min(pushLeft, pushRight, pushDown, pushUp);
-                if (minPush === pushLeft) x = exmin;
-                else if (minPush === pushRight) x = exmax;
-                else if (minPush === pushDown) z = ezmin;
-                else z = ezmax;
-            }
-        }
-        return new THREE.Vector3(x, next.y, z);
+    // Swept move on the XZ plane, stops at walls and slides along them
+    _moveBy(dx, dz) {
+        const p = this._obj.position;
+        const moved = moveCircle(p.x, p.z, dx, dz, this._radius, this._queryColliders || this._colliders);
+        p.x = moved.x;
+        p.z = moved.z;
     }
 
     _separateFromTarget(pos, targetPos) {
@@ -292,6 +440,12 @@ class EnemyController {
         return pos;
     }
 
+    // External displacement (crowd separation), still blocked by walls
+    nudge(dx, dz) {
+        if (!this._obj || this._dead) return;
+        this._moveBy(dx, dz);
+    }
+
     _turnTowards(dir, dt) {
         if (!this._obj) return;
         const desiredYaw = Math.atan2(dir.x, dir.z);
@@ -303,9 +457,70 @@ class EnemyController {
         this._obj.rotation.y = currentYaw + step;
     }
 
+    // Direction to steer in while chasing. Follows door waypoints between rooms and
+    // falls back to the live target once both are in the same room
+    _steerDirection(targetPos, toTarget, dt) {
+        if (!this._findPath) return toTarget;
+
+        this._repathTimer -= dt;
+        if (this._repathTimer <= 0) {
+            this._path = this._findPath(this._obj.position, targetPos) || [];
+            this._repathTimer = this._repathInterval;
+        }
+
+        // Drop reached waypoints but keep the final one (the target). A fresh path
+        // starts from the room's door approach even when we are already past it, so
+        // also skip a waypoint when the next one is closer to us than to it
+        const pos = this._obj.position;
+        const r2 = this._waypointRadius * this._waypointRadius;
+        while (this._path.length > 1) {
+            const wp = this._path[0], next = this._path[1];
+            const dx = wp.x - pos.x, dz = wp.z - pos.z;
+            const passed = Math.hypot(next.x - pos.x, next.z - pos.z) < Math.hypot(next.x - wp.x, next.z - wp.z);
+            if (dx * dx + dz * dz > r2 && !passed) break;
+            this._path.shift();
+        }
+
+        // Same room or unreachable: steer straight at the target
+        if (this._path.length <= 1) return toTarget;
+
+        const dir = new THREE.Vector3(this._path[0].x - pos.x, 0, this._path[0].z - pos.z);
+        if (dir.lengthSq() < 1e-6) return toTarget;
+        return dir.normalize();
+    }
+
+    _setState(state, hold = 0) {
+        this._state = state;
+        this._stateHold = hold;
+        this._stateTime = 0;
+        this._path = [];
+        this._repathTimer = 0;
+        if (state === 'search') this._searchYaw = this._obj ? this._obj.rotation.y : 0;
+        if (state === 'idle') this._idlePause = this._rng.range(this._patrolPause[0], this._patrolPause[1]);
+    }
+
+    // Pick the next room to walk to. False when there is nowhere to go
+    _beginPatrol() {
+        if (!this._getPatrolTargets || !this._obj) return false;
+        const targets = this._getPatrolTargets(this._obj.position) || [];
+        const next = this._rng.pickWeighted(targets,
+            t => (t.weight ?? 1) * (t.key === this._patrolPrev && targets.length > 1 ? this._backtrackWeight : 1));
+        if (!next) return false;
+        this._patrolPrev = this._patrolKey;
+        this._patrolKey = next.key;
+        this._goal = { x: next.x, z: next.z };
+        this._setState('patrol');
+        return true;
+    }
+
+    // Sweep the gaze left and right around the heading the search started with
+    _searchDirection() {
+        const yaw = this._searchYaw + Math.sin(this._stateTime * 1.3) * 1.4;
+        return new THREE.Vector3(Math.sin(yaw), 0, Math.cos(yaw));
+    }
+
     _beginAttack() {
-        this._state = 'attack';
-        this._stateHold = this._minAttackHold;
+        this._setState('attack', this._minAttackHold);
         this._attackPlaying = true;
         this._attackStartTime = this._time;
         // Force restart so the same clip can replay
@@ -313,31 +528,63 @@ class EnemyController {
         if (this.onHitPlayer) this.onHitPlayer(this._attackDamage);
     }
 
-    _maybeChangeState(dist, canAttack) {
+    /**
+     * idle, patrol and search react to sight (chase) and sound (investigate). chase keeps going
+     * to the last known position after losing sight, then searches there
+     * @param {number} goalDist distance to this._goal, Infinity without one
+     */
+    _maybeChangeState(dist, canAttack, goalDist) {
         // No transitions during hurt
         if (this._hurtActive) return;
 
         if (this._stateHold > 0) return;
 
-        if (this._state === 'idle') {
-            if (dist <= this._aggroRange) {
-                this._state = 'chase';
-                this._stateHold = this._minChaseHold;
+        const sense = this._perception;
+
+        if (this._state === 'idle' || this._state === 'patrol' || this._state === 'search' || this._state === 'investigate') {
+            if (sense.canSee) {
+                this._setState('chase', this._minChaseHold);
+                return;
+            }
+            if (sense.heard) {
+                this._goal = sense.heard;
+                if (this._state !== 'investigate') this._setState('investigate');
+                return;
+            }
+            if (this._state === 'investigate' && (goalDist <= this._goalRadius || this._stateTime > this._investigateTimeout)) {
+                this._setState('search');
+                return;
+            }
+            // Unreachable rooms time out like investigations
+            if (this._state === 'patrol' && (goalDist <= this._goalRadius || this._stateTime > this._investigateTimeout)) {
+                this._goal = null;
+                this._setState('idle');
+                return;
+            }
+            if (this._state === 'idle' && this._stateTime > this._idlePause) {
+                if (!this._beginPatrol()) this._stateTime = 0;
+                return;
+            }
+            if (this._state === 'search' && this._stateTime > this._searchDuration) {
+                this._setState('idle', 0.2);
+                this._goal = null;
             }
             return;
         }
 
         if (this._state === 'chase') {
-            if (dist > this._deaggroRange) {
-                this._state = 'idle';
-                this._stateHold = 0.2;
-                this._velocity.set(0, 0, 0);
-                return;
-            }
-            if (canAttack && this._anims.attack) {
+            if (canAttack && sense.canSee && this._anims.attack) {
                 this._beginAttack();
                 return;
             }
+            if (sense.canSee) return;
+
+            // Out of sight: follow the memory, give up where it runs out
+            this._goal = sense.lastKnown;
+            if (!this._goal || goalDist <= this._goalRadius || dist > this._deaggroRange) {
+                this._setState('search');
+                this._velocity.set(0, 0, 0);
+            }
             return;
         }
 
@@ -349,26 +596,69 @@ class EnemyController {
             }
 
             if (finished) {
-                if (dist > this._attackExitRange) {
-                    this._state = 'chase';
-                    this._stateHold = this._minChaseHold;
+                if (dist > this._attackExitRange || !sense.canSee) {
+                    this._setState('chase', this._minChaseHold);
                 } else {
                     const cooldownReady = (this._time - this._lastAttackEnd) >= this._attackCooldown;
                     if (cooldownReady && this._anims.attack) {
                         this._beginAttack();
                     } else if (dist > this._deaggroRange) {
-                        this._state = 'chase';
-                        this._stateHold = this._minChaseHold;
+                        this._setState('chase', this._minChaseHold);
                     }
                 }
             }
         }
     }
 
+    // Without a death clip the body tips over backwards
+    _updateDeath(dt) {
+        if (!this._anims.death) {
+            // Yaw outermost so the pitch is around the body's own side axis
+            this._obj.rotation.order = 'YXZ';
+            const t = Math.min(1, (this._time - this._deathTime) / this._deathDuration);
+            const ease = 1 - (1 - t) * (1 - t);
+            this._obj.rotation.x = -ease * Math.PI * 0.5;
+        }
+        if (this._mixer) this._mixer.update(dt);
+    }
+
+    _Move(dt, moveSpeed, targetPos) {
+        if (this._useKinematic) {
+            const forward = new THREE.Vector3(0, 0, 1).applyEuler(this._obj.rotation).normalize();
+            this._moveBy(forward.x * moveSpeed * dt, forward.z * moveSpeed * dt);
+        } else {
+            if (this._state === 'chase' && !this._hurtActive) {
+                const forward = new THREE.Vector3(0, 0, 1).applyEuler(this._obj.rotation).normalize();
+                const accel = forward.multiplyScalar(this._accel);
+                this._velocity.addScaledVector(accel, dt);
+                const speed = this._velocity.length();
+                const max = this._maxSpeed;
+                if (speed > max) this._velocity.multiplyScalar(max / speed);
+            } else {
+                const damp = Math.exp(-4 * dt);
+                this._velocity.multiplyScalar(damp);
+            }
+            this._moveBy(this._velocity.x * dt, this._velocity.z * dt);
+        }
+        this._obj.position.y = 0;
+
+        // Keep out of the target, through the same sweep so walls still win
+        const pos = this._obj.position;
+        const sep = this._separateFromTarget(pos, targetPos);
+        if (sep !== pos) this._moveBy(sep.x - pos.x, sep.z - pos.z);
+    }
+
     Update(dt) {
         if (!this._obj) return;
         this._time += dt;
+
+        if (this._dead) {
+            this._updateDeath(dt);
+            return;
+        }
+
         if (this._stateHold > 0) this._stateHold -= dt;
+        this._stateTime += dt;
 
         // Hurt timers
         if (this._hurtActive && this._time >= this._hurtEndTime) {
@@ -380,7 +670,7 @@ class EnemyController {
         const targetPos = this._getTargetPos();
 
         const contact = this._radius + this._targetRadius;
-        const baseAttackRange = contact + this._attackMargin;
+        const baseAttackRange = Math.max(contact + this._attackMargin, this._attackRange);
         this._attackEnterRange = baseAttackRange;
         this._attackExitRange = baseAttackRange + this._attackHysteresis;
 
@@ -390,12 +680,32 @@ class EnemyController {
         if (dist > 1e-6) toTarget.multiplyScalar(1 / dist);
         else toTarget.set(0, 0, 1);
 
-        this._turnTowards(toTarget, dt);
+        const pos = this._obj.position;
+        this._perception.update(dt, pos.x, pos.z, this._obj.rotation.y, targetPos.x, targetPos.z, this._getTargetNoise());
+
+        // Watched: nothing moves, not even the animation, until the player looks away
+        this._frozen = this._onlyMovesUnseen && !!this._isObserved && !this._hurtActive && this._isObserved(pos);
+        if (this._frozen) return;
 
         const cooldownReady = (this._time - this._lastAttackEnd) >= this._attackCooldown;
         const canAttack = (dist <= this._attackEnterRange) && cooldownReady;
-
-        this._maybeChangeState(dist, canAttack);
+        const goalDist = this._goal ? Math.hypot(this._goal.x - pos.x, this._goal.z - pos.z) : Infinity;
+
+        this._maybeChangeState(dist, canAttack, goalDist);
+
+        // Chasing in sight heads for the target itself, anything else for the remembered goal
+        const seen = this._state === 'chase' && this._perception.canSee;
+        const moving = this._state === 'chase' || this._state === 'investigate' || this._state === 'patrol';
+        if (moving && (seen || this._goal)) {
+            const goal = seen ? targetPos : new THREE.Vector3(this._goal.x, 0, this._goal.z);
+            const toGoal = new THREE.Vector3(goal.x - pos.x, 0, goal.z - pos.z);
+            if (toGoal.lengthSq() > 1e-6) toGoal.normalize(); else toGoal.copy(toTarget);
+            this._turnTowards(this._steerDirection(goal, toGoal, dt), dt);
+        } else if (this._state === 'search') {
+            this._turnTowards(this._searchDirection(), dt);
+        } else if (this._state === 'attack') {
+            this._turnTowards(toTarget, dt);
+        }
 
         // Movement
         let moveSpeed = 0;
@@ -403,49 +713,22 @@ class EnemyController {
             moveSpeed = 0;
         } else if (this._state === 'chase') {
             moveSpeed = this._anims.run ? this._speedRun : this._speedWalk;
-        } else if (this._state === 'attack') {
-            moveSpeed = 0;
+            if (seen && dist <= this._keepDistance) moveSpeed = 0;
+        } else if (this._state === 'investigate' || this._state === 'patrol') {
+            moveSpeed = this._speedWalk;
         }
 
-        if (this._useKinematic) {
-            const forward = new THREE.Vector3(0, 0, 1).applyEuler(this._obj.rotation).normalize();
-            const step = forward.multiplyScalar(moveSpeed * dt);
-            let next = this._obj.position.clone().add(step);
-            next.y = 0;
-
-            next = this._resolveAABBCollisions(next);
-            next = this._resolveAABBCollisions(next);
-            next = this._separateFromTarget(next, targetPos);
-
-            this._obj.position.copy(next);
-        } else {
-            if (this._state === 'chase' && !this._hurtActive) {
-                const forward = new THREE.Vector3(0, 0, 1).applyEuler(this._obj.rotation).normalize();
-                const accel = forward.multiplyScalar(this._accel);
-                this._velocity.addScaledVector(accel, dt);
-                const speed = this._velocity.length();
-                const max = this._maxSpeed;
-                if (speed > max) this._velocity.multiplyScalar(max / speed);
-            } else {
-                const damp = Math.exp(-4 * dt);
-                this._velocity.multiplyScalar(damp);
-            }
-
-            let next = this._obj.position.clone().addScaledVector(this._velocity, dt);
-            next.y = 0;
-            next = this._resolveAABBCollisions(next);
-            next = this._resolveAABBCollisions(next);
-            next = this._separateFromTarget(next, targetPos);
-            this._obj.position.copy(next);
-        }
+        forEachSubstep(dt, this._fixedStep, h => this._Move(h, moveSpeed, targetPos));
 
         // Animation selection
         if (this._hurtActive) {
             if (this._anims.hurt && this._currentAction !== this._anims.hurt.action) {
                 this._play('hurt', 0.06, true);
             }
-        } else if (this._state === 'idle') {
+        } else if (this._state === 'idle' || this._state === 'search') {
             this._play('idle');
+        } else if (this._state === 'investigate' || this._state === 'patrol') {
+            this._play('walk');
         } else if (this._state === 'chase') {
             if (this._anims.run) this._play('run'); else this._play('walk');
         } else if (this._state === 'attack') {
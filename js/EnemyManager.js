@@ -0,0 +1,251 @@
+// EnemyManager.js
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.118/build/three.module.js';
+import { EnemyController } from './EnemyController.js';
+import { WorldSpaceHealthBar } from './WorldSpaceHealthBar.js';
+import { SeededRandom } from './Random.js';
+
+// Difficulty over run time. maxAlive and interval are interpolated between keys
+const DEFAULT_DIFFICULTY = [
+    { time: 0, maxAlive: 1, interval: 25 },
+    { time: 90, maxAlive: 2, interval: 20 },
+    { time: 240, maxAlive: 3, interval: 14 },
+    { time: 480, maxAlive: 5, interval: 8 },
+];
+
+/** Owns every EnemyController and decides when and where they spawn */
+class EnemyManager {
+    constructor(params) {
+        this._params = params;
+        this._scene = params.scene;
+        this._terrain = params.terrain;
+
+        // Health bars need both
+        this._renderer = params.renderer || null;
+        this._camera = params.camera || null;
+
+        // Template for every EnemyController. startPosition and callbacks are filled in here
+        this._enemyParams = params.enemyParams || {};
+        // EnemyFactory with archetypes to spawn by weight. Without one, every enemy is built from enemyParams alone
+        this._factory = params.factory || null;
+        this._getPlayerPosition = typeof params.getPlayerPosition === 'function' ? params.getPlayerPosition : (() => null);
+        this._onHitPlayer = typeof params.onHitPlayer === 'function' ? params.onHitPlayer : null;
+        this._onEnemyDeath = typeof params.onEnemyDeath === 'function' ? params.onEnemyDeath : null;
+
+        // Director
+        this._difficulty = (Array.isArray(params.difficulty) && params.difficulty.length ? params.difficulty : DEFAULT_DIFFICULTY)
+            .slice().sort((a, b) => a.time - b.time);
+        this._minSpawnSteps = Number.isInteger(params.minSpawnSteps) ? Math.max(2, params.minSpawnSteps) : 2;
+        this._maxSpawnSteps = Number.isInteger(params.maxSpawnSteps) ? params.maxSpawnSteps : 5;
+        this._despawnSteps = Number.isInteger(params.despawnSteps) ? params.despawnSteps : 7;
+        this._directorInterval = 0.5;
+        this._directorTimer = 0;
+        this._spawnTimer = typeof params.initialDelay === 'number' ? params.initialDelay : 0;
+        this._elapsed = 0;
+
+        const seed = params.seed ?? this._terrain.getSeed();
+        this._rng = new SeededRandom(seed).fork('enemies');
+        // Each enemy patrols with its own stream, keyed by spawn order
+        this._patrolRng = new SeededRandom(seed).fork('patrol');
+        this._typeRng = new SeededRandom(seed).fork('archetypes');
+        this._spawnCount = 0;
+
+        // Patrols lean toward rooms the player was in lately. A visit's pull
+        // fades over visitMemory seconds; visitPreference is its weight at full strength
+        this._visits = new Map(); // room key -> run time of the last visit
+        this._visitMemory = typeof params.visitMemory === 'number' ? params.visitMemory : 60;
+        this._visitPreference = typeof params.visitPreference === 'number' ? params.visitPreference : 4;
+
+        this._entries = []; // { enemy, bar }
+    }
+
+    // Living enemies, for hit tests and AI queries
+    getEnemies() {
+        return this._entries.filter(e => !e.enemy.isDead).map(e => e.enemy);
+    }
+
+    // Living enemy scene objects, for the minimap
+    getObjects() {
+        const out = [];
+        for (const { enemy } of this._entries) {
+            if (!enemy.isDead && enemy.object3D) out.push(enemy.object3D);
+        }
+        return out;
+    }
+
+    get count() { return this._entries.length; }
+
+    _sampleDifficulty(t) {
+        const keys = this._difficulty;
+        if (t <= keys[0].time) return keys[0];
+        for (let k = 1; k < keys.length; k++) {
+            const a = keys[k - 1], b = keys[k];
+            if (t <= b.time) {
+                const u = (t - a.time) / Math.max(1e-6, b.time - a.time);
+                return {
+                    maxAlive: Math.floor(a.maxAlive + (b.maxAlive - a.maxAlive) * u),
+                    interval: a.interval + (b.interval - a.interval) * u,
+                };
+            }
+        }
+        return keys[keys.length - 1];
+    }
+
+    // Room far enough from the player (never the player's room or a neighbor)
+    _pickSpawnPosition(playerPos) {
+        const rooms = this._terrain.getRoomsFull();
+        const steps = this._terrain.getRoomStepsFrom(playerPos);
+        if (!rooms.length || !steps.length) return null;
+
+        const occupied = new Set();
+        for (const { enemy } of this._entries) {
+            const obj = enemy.object3D;
+            if (obj) occupied.add(this._terrain.getRoomIndexAt(obj.position.x, obj.position.z));
+        }
+
+        const near = [], far = [];
+        for (let i = 0; i < rooms.length; i++) {
+            const d = steps[i];
+            if (!Number.isFinite(d) || d < this._minSpawnSteps || occupied.has(i)) continue;
+            if (d <= this._maxSpawnSteps) near.push(i); else far.push(i);
+        }
+        const pick = near.length ? this._rng.pick(near) : this._rng.pick(far);
+        if (pick === undefined) return null;
+        return new THREE.Vector3(rooms[pick].cx, 0, rooms[pick].cz);
+    }
+
+    /**
+     * @param {THREE.Vector3} position
+     * @param {string} [type] archetype name; picked by spawn weight when a factory is set and this is omitted
+     */
+    spawn(position, type) {
+        let enemy = null;
+        let bar = null;
+
+        const params = {
+            ...this._enemyParams,
+            scene: this._scene,
+            startPosition: position.clone(),
+            onHitPlayer: (dmg) => this._onHitPlayer && this._onHitPlayer(dmg, enemy),
+            onHpChange: (hp, max) => {
+                if (!bar) return;
+                bar.setMax(max);
+                bar.set(hp);
+            },
+            onDeath: () => this._onEnemyDeath && this._onEnemyDeath(enemy),
+            getPatrolTargets: (pos) => this._patrolTargets(pos),
+            rng: this._patrolRng.fork(this._spawnCount++),
+        };
+        const name = this._factory ? (type ?? this._factory.pickName(this._typeRng)) : null;
+        enemy = name ? this._factory.create(name, params) : new EnemyController(params);
+
+        if (this._renderer && this._camera) {
+            bar = new WorldSpaceHealthBar(this._renderer, this._camera, () => enemy?.object3D ?? null, {
+                max: enemy.hpMax,
+                maxDistance: 400,
+            });
+        }
+
+        this._entries.push({ enemy, bar });
+        return enemy;
+    }
+
+    // Neighboring rooms weighted by how recently the player was there
+    _patrolTargets(pos) {
+        return this._terrain.getRoomNeighbors(pos.x, pos.z).map((r) => {
+            const seen = this._visits.get(r.key);
+            const heat = seen === undefined ? 0 : Math.exp(-(this._elapsed - seen) / this._visitMemory);
+            return { key: r.key, x: r.cx, z: r.cz, weight: 1 + this._visitPreference * heat };
+        });
+    }
+
+    despawn(enemy) {
+        const k = this._entries.findIndex(e => e.enemy === enemy);
+        if (k < 0) return;
+        const { bar } = this._entries[k];
+        enemy.dispose();
+        if (bar) bar.dispose();
+        this._entries.splice(k, 1);
+    }
+
+    _runDirector(playerPos) {
+        const { maxAlive, interval } = this._sampleDifficulty(this._elapsed);
+
+        // Enemies whose rooms streamed out, and idle or patrolling ones left far behind, are
+        // recycled closer to the action
+        const steps = this._terrain.getRoomStepsFrom(playerPos);
+        for (const { enemy } of this._entries.slice()) {
+            const obj = enemy.object3D;
+            if (!obj) continue;
+            if (this._terrain.hasRoomAt && !this._terrain.hasRoomAt(obj.position.x, obj.position.z)) {
+                this.despawn(enemy);
+                continue;
+            }
+            if (enemy.isDead || (enemy.state !== 'idle' && enemy.state !== 'patrol')) continue;
+            const d = steps[this._terrain.getRoomIndexAt(obj.position.x, obj.position.z)];
+            if (d > this._despawnSteps) this.despawn(enemy);
+        }
+
+        const alive = this._entries.filter(e => !e.enemy.isDead).length;
+        if (alive >= maxAlive || this._spawnTimer > 0) return;
+
+        const pos = this._pickSpawnPosition(playerPos);
+        if (!pos) return;
+        this.spawn(pos);
+        this._spawnTimer = interval;
+    }
+
+    // Keep enemies from overlapping each other
+    _separate() {
+        const list = this._entries.map(e => e.enemy).filter(e => !e.isDead && e.object3D);
+        for (let a = 0; a < list.length; a++) {
+            for (let b = a + 1; b < list.length; b++) {
+                const pa = list[a].object3D.position, pb = list[b].object3D.position;
+                let dx = pb.x - pa.x, dz = pb.z - pa.z;
+                const minDist = list[a].radius + list[b].radius;
+                const d2 = dx * dx + dz * dz;
+                if (d2 >= minDist * minDist) continue;
+
+                const d = Math.sqrt(d2);
+                if (d < 1e-6) { dx = 1; dz = 0; } else { dx /= d; dz /= d; }
+                // A frozen enemy holds still under the player's gaze, so the other takes the whole push
+                const frozenA = list[a].isFrozen, frozenB = list[b].isFrozen;
+                if (frozenA && frozenB) continue;
+                const push = (minDist - d) * (frozenA || frozenB ? 1 : 0.5);
+                if (!frozenA) list[a].nudge(-dx * push, -dz * push);
+                if (!frozenB) list[b].nudge(dx * push, dz * push);
+            }
+        }
+    }
+
+    Update(dt) {
+        this._elapsed += dt;
+        this._spawnTimer -= dt;
+
+        const playerPos = this._getPlayerPosition();
+        this._directorTimer -= dt;
+        if (playerPos && this._directorTimer <= 0) {
+            this._directorTimer = this._directorInterval;
+            const room = this._terrain.getRoomKeyAt(playerPos.x, playerPos.z);
+            if (room !== null) this._visits.set(room, this._elapsed);
+            this._runDirector(playerPos);
+        }
+
+        for (const { enemy } of this._entries) enemy.Update(dt);
+        this._separate();
+
+        for (const { enemy } of this._entries.slice()) {
+            if (enemy.isExpired) this.despawn(enemy);
+        }
+        for (const { bar } of this._entries) if (bar) bar.update();
+    }
+
+    dispose() {
+        for (const { enemy, bar } of this._entries) {
+            enemy.dispose();
+            if (bar) bar.dispose();
+        }
+        this._entries = [];
+    }
+}
+
+export { EnemyManager };
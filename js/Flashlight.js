@@ -0,0 +1,107 @@
+// Flashlight.js
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.118/build/three.module.js';
+
+/**
+ * Hand-held SpotLight that runs on a battery. Off means zero intensity rather than
+ * invisible, so switching it does not change the light count and recompile shaders.
+ * The light lives in the scene; Update(dt, origin, direction) aims it each frame
+ */
+class Flashlight {
+    /**
+     * @param {object} params
+     * params.scene: scene the light is added to
+     * params.intensity: beam intensity when on, default 1.6
+     * params.batteryMax: default 100
+     * params.drain: battery per second while on, default 1.2
+     * params.lowBattery: fraction of batteryMax below which the beam sputters, default 0.15
+     * params.onBatteryChange: (battery, max, on) => void
+     */
+    constructor(params) {
+        this._scene = params.scene;
+        this._intensity = typeof params.intensity === 'number' ? params.intensity : 1.6;
+        this._batteryMax = typeof params.batteryMax === 'number' ? params.batteryMax : 100;
+        this._battery = this._batteryMax;
+        this._drain = typeof params.drain === 'number' ? params.drain : 1.2;
+        this._lowBattery = typeof params.lowBattery === 'number' ? params.lowBattery : 0.15;
+        this._onBatteryChange = typeof params.onBatteryChange === 'function' ? params.onBatteryChange : (() => { });
+
+        this._on = false;
+        this._sputter = 0;      // seconds left in a low-battery dropout
+        this._sputterTimer = 0;
+
+        this._light = new THREE.SpotLight(0xfff1d6, 0, 380, Math.PI / 7, 0.45, 1.4);
+        this._light.castShadow = false;
+        this._light.shadow.mapSize.set(1024, 1024);
+        this._light.shadow.camera.near = 1;
+        this._light.shadow.camera.far = 400;
+        this._light.shadow.bias = -0.00012;
+        this._scene.add(this._light);
+        this._scene.add(this._light.target);
+
+        this._onBatteryChange(this._battery, this._batteryMax, this._on);
+    }
+
+    get light() { return this._light; }
+    get isOn() { return this._on; }
+    // Lighting anything this frame
+    get isLit() { return this._light.intensity > 0; }
+    get battery() { return this._battery; }
+    get batteryMax() { return this._batteryMax; }
+
+    // Returns the new state. A flat battery cannot be switched on
+    toggle() {
+        this.setOn(!this._on);
+        return this._on;
+    }
+
+    setOn(on) {
+        const next = !!on && this._battery > 0;
+        if (next === this._on) return;
+        this._on = next;
+        this._onBatteryChange(this._battery, this._batteryMax, this._on);
+    }
+
+    addBattery(n) {
+        this._battery = Math.min(this._batteryMax, this._battery + Math.max(0, n));
+        this._onBatteryChange(this._battery, this._batteryMax, this._on);
+    }
+
+    /**
+     * @param {THREE.Vector3} origin where the beam starts
+     * @param {THREE.Vector3} direction unit vector it points along
+     */
+    Update(timeElapsed, origin, direction) {
+        if (this._on) {
+            this._battery = Math.max(0, this._battery - this._drain * timeElapsed);
+            if (this._battery === 0) this._on = false;
+            this._onBatteryChange(this._battery, this._batteryMax, this._on);
+        }
+
+        let intensity = this._on ? this._intensity : 0;
+        // A weak battery cuts out in short random bursts
+        if (this._on && this._battery < this._batteryMax * this._lowBattery) {
+            this._sputterTimer -= timeElapsed;
+            if (this._sputterTimer <= 0) {
+                this._sputter = Math.random() * 0.25;
+                this._sputterTimer = 0.4 + Math.random() * 2.5;
+            }
+            if (this._sputter > 0) {
+                this._sputter -= timeElapsed;
+                intensity *= 0.1;
+            }
+        }
+        this._light.intensity = intensity;
+
+        this._light.position.copy(origin);
+        this._light.target.position.copy(origin).addScaledVector(direction, 100);
+        this._light.target.updateMatrixWorld();
+    }
+
+    dispose() {
+        this._scene.remove(this._light);
+        this._scene.remove(this._light.target);
+        this._light.shadow.map?.dispose?.();
+    }
+}
+
+export { Flashlight };
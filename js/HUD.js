@@ -6,8 +6,12 @@ export class HUD {
         this._root.innerHTML = `
       <div class="panel">
         <div class="label">HP</div>
-        <div class="bar"><div class="fill"></div></div>
+        <div class="bar"><div class="fill hp"></div></div>
         <div class="text">100 / 100</div>
+        <div class="label stamina-label">STAMINA</div>
+        <div class="bar stamina"><div class="fill"></div></div>
+        <div class="label battery-label">BATTERY</div>
+        <div class="bar battery off"><div class="fill"></div></div>
       </div>
     `;
         document.body.appendChild(this._root);
@@ -56,6 +60,18 @@ export class HUD {
         transition: width 0.15s linear;
       }
 
+      #hud .stamina-label { margin-top: 10px; }
+      #hud .bar.stamina { height: 4px; }
+      #hud .bar.stamina .fill { background: #cfcaa0; transition: width 0.1s linear, background 0.3s; }
+      /* Out of breath until the bar refills past the recovery point */
+      #hud .bar.stamina.exhausted .fill { background: #6b5a4a; }
+
+      #hud .battery-label { margin-top: 10px; }
+      #hud .bar.battery { height: 4px; }
+      #hud .bar.battery .fill { background: #9fe870; transition: width 0.1s linear, background 0.3s; }
+      #hud .bar.battery.off .fill { background: #4a5a40; }
+      #hud .bar.battery.low .fill { background: #c8a040; }
+
       #hud .text {
         margin-top: 6px;
         font-size: 15px;
@@ -78,10 +94,16 @@ export class HUD {
         font.href = 'https://fonts.googleapis.com/css2?family=VT323&display=swap';
         document.head.appendChild(font);
 
-        this._fill = this._root.querySelector('.fill');
+        this._fill = this._root.querySelector('.fill.hp');
         this._text = this._root.querySelector('.text');
         this._max = 100;
         this._cur = 100;
+
+        this._staminaBar = this._root.querySelector('.bar.stamina');
+        this._staminaFill = this._staminaBar.querySelector('.fill');
+
+        this._batteryBar = this._root.querySelector('.bar.battery');
+        this._batteryFill = this._batteryBar.querySelector('.fill');
     }
 
     setMax(n) {
@@ -96,6 +118,20 @@ export class HUD {
         this._text.textContent = `${this._cur} / ${this._max}`;
     }
 
+    setStamina(n, max, exhausted = false) {
+        const pct = Math.max(0, Math.min(1, n / Math.max(1, max))) * 100;
+        this._staminaFill.style.width = `${pct}%`;
+        this._staminaBar.classList.toggle('exhausted', !!exhausted);
+    }
+
+    // Flashlight charge; dim while the light is off, amber when nearly flat
+    setBattery(n, max, on = false) {
+        const frac = Math.max(0, Math.min(1, n / Math.max(1, max)));
+        this._batteryFill.style.width = `${frac * 100}%`;
+        this._batteryBar.classList.toggle('off', !on);
+        this._batteryBar.classList.toggle('low', frac < 0.15);
+    }
+
     damage(n) { this.set(this._cur - n); }
     heal(n) { this.set(this._cur + n); }
 }
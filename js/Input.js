@@ -0,0 +1,357 @@
+// Input.js
+// Named actions on top of the keyboard and the Gamepad API. Gameplay asks for
+// actions ("moveForward", "attack"), never for raw keys, so bindings can change
+
+const STORAGE_KEY = 'backrooms.bindings';
+
+// Stick values below this are treated as zero, the rest is rescaled to [0, 1]
+const DEADZONE = 0.2;
+
+/**
+ * Default bindings. keys are KeyboardEvent.code values, or Mouse<button> while the
+ * pointer is locked. buttons are indices in the standard gamepad mapping
+ * (0 A, 1 B, 2 X, 3 Y, 4 LB, 5 RB, 6 LT, 7 RT, 9 Start, 10 L3, 12-15 d-pad)
+ */
+const DEFAULT_BINDINGS = {
+    moveForward: { keys: ['KeyW', 'ArrowUp'], buttons: [12] },
+    moveBackward: { keys: ['KeyS', 'ArrowDown'], buttons: [13] },
+    turnLeft: { keys: ['KeyA', 'ArrowLeft'], buttons: [14] },
+    turnRight: { keys: ['KeyD', 'ArrowRight'], buttons: [15] },
+    run: { keys: ['ShiftLeft', 'ShiftRight'], buttons: [4, 10] },
+    attack: { keys: ['Space', 'Mouse0'], buttons: [0, 7] },
+    toggleView: { keys: ['KeyV'], buttons: [3] },
+    flashlight: { keys: ['KeyF'], buttons: [2] },
+    interact: { keys: ['KeyE'], buttons: [1] },
+    useItem: { keys: ['KeyQ'], buttons: [5] },
+    nextItem: { keys: ['KeyR'], buttons: [6] },
+    pause: { keys: ['Escape'], buttons: [9] },
+    debugDamage: { keys: ['KeyH'], buttons: [] },
+    debugHeal: { keys: ['KeyJ'], buttons: [] },
+    debugPortal: { keys: ['KeyP'], buttons: [] },
+};
+
+const ACTION_LABELS = {
+    moveForward: 'Move forward',
+    moveBackward: 'Move backward',
+    turnLeft: 'Turn / strafe left',
+    turnRight: 'Turn / strafe right',
+    run: 'Run',
+    attack: 'Attack',
+    toggleView: 'First / third person',
+    flashlight: 'Flashlight',
+    interact: 'Pick up / interact',
+    useItem: 'Use item',
+    nextItem: 'Next item',
+    pause: 'Pause',
+    debugDamage: 'Debug: take damage',
+    debugHeal: 'Debug: heal',
+    debugPortal: 'Debug: move portal',
+};
+
+/**
+ * Analog axes in [-1, 1]. Keyboard and d-pad give full deflection, sticks are
+ * proportional. sticks lists gamepad axis indices; a stick pushed up or left reads
+ * negative, so both are flipped to make forward and left positive.
+ * strafe shares the turn keys and is read instead of turn in mouse-look mode,
+ * where the right stick looks around instead of turning
+ */
+const AXES = {
+    move: { pos: 'moveForward', neg: 'moveBackward', sticks: [1] },
+    turn: { pos: 'turnLeft', neg: 'turnRight', sticks: [0, 2] },
+    strafe: { pos: 'turnLeft', neg: 'turnRight', sticks: [0] },
+    lookX: { sticks: [2] },
+    lookY: { sticks: [3] },
+};
+
+const MOUSE_BUTTON_LABELS = ['Left click', 'Middle click', 'Right click'];
+// Standard gamepad mapping, by button index
+const PAD_BUTTON_LABELS = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3',
+    'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home'];
+
+function cloneBindings(src) {
+    const out = {};
+    for (const [action, b] of Object.entries(src)) out[action] = { keys: [...b.keys], buttons: [...b.buttons] };
+    return out;
+}
+
+// Short name for a KeyboardEvent.code, for menus
+function keyLabel(code) {
+    if (!code) return '-';
+    if (code.startsWith('Mouse')) return MOUSE_BUTTON_LABELS[Number(code.slice(5))] || code;
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Arrow')) return `${code.slice(5)} arrow`;
+    return code.replace(/(Left|Right)$/, ' $1');
+}
+
+// Short name for a gamepad button index, for menus
+function buttonLabel(index) {
+    if (!Number.isInteger(index)) return '-';
+    return `Pad ${PAD_BUTTON_LABELS[index] || index}`;
+}
+
+class InputManager {
+    /**
+     * @param {object} [params]
+     * params.target: EventTarget for key events, default document
+     * params.storage: Storage for bindings, default localStorage
+     */
+    constructor(params = {}) {
+        this._target = params.target || document;
+        this._storage = params.storage !== undefined ? params.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+
+        this._bindings = cloneBindings(DEFAULT_BINDINGS);
+        this._loadBindings();
+
+        this._keysDown = new Set();     // codes held right now
+        this._keysTapped = new Set();   // codes pressed since the last update, catches sub-frame taps
+        this._buttons = [];             // pressed flags of the active gamepad
+        this._sticks = [];              // axis values of the active gamepad
+        this._down = new Set();         // actions held as of the last update
+        this._pressed = new Set();      // actions that went down in the last update
+        this._capture = null;           // resolve() of a pending captureKey
+        this._captureButton = null;     // resolve() of a pending captureButton
+        this._mouseX = 0;               // pointer-lock motion since the last update
+        this._mouseY = 0;
+        this._look = { x: 0, y: 0 };    // motion as of the last update
+
+        this._onKeyDown = (e) => {
+            // Waiting for a gamepad button: Escape cancels, other keys are swallowed
+            if (this._captureButton) {
+                e.preventDefault();
+                if (e.code === 'Escape') this._endButtonCapture(null);
+                return;
+            }
+            if (this._capture) {
+                e.preventDefault();
+                const resolve = this._capture;
+                this._capture = null;
+                resolve(e.code === 'Escape' ? null : e.code);
+                return;
+            }
+            if (!e.repeat) this._keysTapped.add(e.code);
+            this._keysDown.add(e.code);
+        };
+        this._onKeyUp = (e) => this._keysDown.delete(e.code);
+        // Keys released while the window is unfocused never send keyup
+        this._onBlur = () => this._keysDown.clear();
+
+        // Mouse only counts while the pointer is locked, so menu clicks never attack
+        const locked = () => typeof document !== 'undefined' && !!document.pointerLockElement;
+        this._onMouseMove = (e) => {
+            if (!locked()) return;
+            this._mouseX += e.movementX || 0;
+            this._mouseY += e.movementY || 0;
+        };
+        this._onMouseDown = (e) => {
+            if (!locked()) return;
+            this._keysTapped.add(`Mouse${e.button}`);
+            this._keysDown.add(`Mouse${e.button}`);
+        };
+        this._onMouseUp = (e) => this._keysDown.delete(`Mouse${e.button}`);
+
+        this._target.addEventListener('keydown', this._onKeyDown, false);
+        this._target.addEventListener('keyup', this._onKeyUp, false);
+        this._target.addEventListener('mousemove', this._onMouseMove, false);
+        this._target.addEventListener('mousedown', this._onMouseDown, false);
+        this._target.addEventListener('mouseup', this._onMouseUp, false);
+        if (typeof window !== 'undefined') window.addEventListener('blur', this._onBlur, false);
+    }
+
+    dispose() {
+        this._target.removeEventListener('keydown', this._onKeyDown, false);
+        this._target.removeEventListener('keyup', this._onKeyUp, false);
+        this._target.removeEventListener('mousemove', this._onMouseMove, false);
+        this._target.removeEventListener('mousedown', this._onMouseDown, false);
+        this._target.removeEventListener('mouseup', this._onMouseUp, false);
+        if (typeof window !== 'undefined') window.removeEventListener('blur', this._onBlur, false);
+    }
+
+    // Poll the gamepad and work out which actions are held and which just went down. Once per frame
+    update() {
+        this._pollGamepad();
+
+        const prev = this._down;
+        const down = new Set();
+        const pressed = new Set();
+        for (const [action, b] of Object.entries(this._bindings)) {
+            const held = b.keys.some(k => this._keysDown.has(k)) || b.buttons.some(i => this._buttons[i]);
+            const tapped = b.keys.some(k => this._keysTapped.has(k));
+            if (held) down.add(action);
+            if (tapped || (held && !prev.has(action))) pressed.add(action);
+        }
+        this._down = down;
+        this._pressed = pressed;
+        this._keysTapped.clear();
+
+        this._look = { x: this._mouseX, y: this._mouseY };
+        this._mouseX = 0;
+        this._mouseY = 0;
+    }
+
+    _pollGamepad() {
+        this._buttons.length = 0;
+        this._sticks.length = 0;
+        // A button being captured for a binding does not reach gameplay
+        if (this._captureButton) return;
+        const pad = this._activePad();
+        if (!pad) return;
+        for (const b of pad.buttons) this._buttons.push(!!(b && (b.pressed || b.value > 0.5)));
+        for (const a of pad.axes) this._sticks.push(a);
+    }
+
+    _activePad() {
+        const pads = typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : [];
+        return [...(pads || [])].find(p => p && p.connected) || null;
+    }
+
+    isDown(action) { return this._down.has(action); }
+
+    // Went down during the last update, for one-shot actions like pause
+    pressed(action) { return this._pressed.has(action); }
+
+    // Pointer-lock mouse motion in pixels during the last update, +x right, +y down
+    look() { return this._look; }
+
+    /**
+     * Analog value of a named axis in [-1, 1]. The larger of the digital and stick readings wins
+     * @param {'move'|'turn'|'strafe'|'lookX'|'lookY'} name
+     */
+    axis(name) {
+        const spec = AXES[name];
+        if (!spec) return 0;
+        let v = (spec.pos && this._down.has(spec.pos) ? 1 : 0) - (spec.neg && this._down.has(spec.neg) ? 1 : 0);
+        for (const i of spec.sticks) {
+            const raw = -(this._sticks[i] || 0);
+            const mag = Math.abs(raw);
+            if (mag <= DEADZONE) continue;
+            const s = Math.sign(raw) * Math.min(1, (mag - DEADZONE) / (1 - DEADZONE));
+            if (Math.abs(s) > Math.abs(v)) v = s;
+        }
+        return v;
+    }
+
+    // Bindings
+
+    get actions() { return Object.keys(DEFAULT_BINDINGS); }
+
+    getBinding(action) {
+        const b = this._bindings[action];
+        return b ? { keys: [...b.keys], buttons: [...b.buttons] } : null;
+    }
+
+    /**
+     * Bind a key to an action slot. The key is taken away from any other action so one press never means two things
+     * @param {number} [slot] 0 primary, 1 alternate
+     */
+    bindKey(action, code, slot = 0) {
+        const b = this._bindings[action];
+        if (!b || !code) return;
+        for (const other of Object.values(this._bindings)) {
+            const k = other.keys.indexOf(code);
+            if (k >= 0) other.keys.splice(k, 1);
+        }
+        if (slot < b.keys.length) b.keys[slot] = code;
+        else b.keys.push(code);
+        this._saveBindings();
+    }
+
+    /**
+     * Bind a gamepad button to an action slot, taken away from any other action like bindKey
+     * @param {number} [slot] 0 primary, 1 alternate
+     */
+    bindButton(action, index, slot = 0) {
+        const b = this._bindings[action];
+        if (!b || !Number.isInteger(index)) return;
+        for (const other of Object.values(this._bindings)) {
+            const k = other.buttons.indexOf(index);
+            if (k >= 0) other.buttons.splice(k, 1);
+        }
+        if (slot < b.buttons.length) b.buttons[slot] = index;
+        else b.buttons.push(index);
+        this._saveBindings();
+    }
+
+    resetBindings() {
+        this._bindings = cloneBindings(DEFAULT_BINDINGS);
+        this._saveBindings();
+    }
+
+    /**
+     * Resolve with the code of the next key pressed, or null on Escape. The key does not reach gameplay
+     * @returns {Promise<string|null>}
+     */
+    captureKey() {
+        if (this._capture) this._capture(null);
+        return new Promise(resolve => { this._capture = resolve; });
+    }
+
+    /**
+     * Resolve with the index of the next gamepad button pressed, or null on Escape.
+     * Buttons already held when it starts count once released and pressed again
+     * @returns {Promise<number|null>}
+     */
+    captureButton() {
+        this._endButtonCapture(null);
+        const held = new Set();
+        const pad = this._activePad();
+        if (pad) pad.buttons.forEach((b, i) => { if (b && b.pressed) held.add(i); });
+
+        const poll = () => {
+            if (!this._captureButton) return;
+            const pad = this._activePad();
+            if (pad) {
+                for (let i = 0; i < pad.buttons.length; i++) {
+                    const down = !!(pad.buttons[i] && (pad.buttons[i].pressed || pad.buttons[i].value > 0.5));
+                    if (!down) held.delete(i);
+                    else if (!held.has(i)) {
+                        this._endButtonCapture(i);
+                        return;
+                    }
+                }
+            }
+            requestAnimationFrame(poll);
+        };
+        const done = new Promise(resolve => { this._captureButton = resolve; });
+        requestAnimationFrame(poll);
+        return done;
+    }
+
+    // Drop a pending captureKey or captureButton, which resolves with null
+    cancelCapture() {
+        const resolve = this._capture;
+        this._capture = null;
+        if (resolve) resolve(null);
+        this._endButtonCapture(null);
+    }
+
+    _endButtonCapture(index) {
+        const resolve = this._captureButton;
+        this._captureButton = null;
+        if (resolve) resolve(index);
+    }
+
+    _loadBindings() {
+        let saved = null;
+        try {
+            saved = JSON.parse(this._storage?.getItem(STORAGE_KEY) || 'null');
+        } catch {
+            saved = null;
+        }
+        if (!saved || typeof saved !== 'object') return;
+        for (const action of Object.keys(this._bindings)) {
+            const b = saved[action];
+            if (!b) continue;
+            if (Array.isArray(b.keys)) this._bindings[action].keys = b.keys.filter(k => typeof k === 'string');
+            if (Array.isArray(b.buttons)) this._bindings[action].buttons = b.buttons.filter(Number.isInteger);
+        }
+    }
+
+    _saveBindings() {
+        try {
+            this._storage?.setItem(STORAGE_KEY, JSON.stringify(this._bindings));
+        } catch { }
+    }
+}
+
+export { InputManager, DEFAULT_BINDINGS, ACTION_LABELS, keyLabel, buttonLabel };
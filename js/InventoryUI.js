@@ -0,0 +1,127 @@
+// InventoryUI.js
+// Carried items beside the HUD panel, plus the pick-up prompt
+import { ITEM_TYPES } from './Items.js';
+
+export class InventoryUI {
+    constructor() {
+        this._root = document.createElement('div');
+        this._root.id = 'inventory';
+        this._root.innerHTML = `
+      <div class="panel">
+        <div class="label">ITEMS</div>
+        <div class="slots"></div>
+        <div class="hint"></div>
+      </div>
+      <div class="prompt"></div>
+    `;
+        document.body.appendChild(this._root);
+
+        const css = document.createElement('style');
+        css.textContent = `
+      /* Sits to the right of the HUD panel, same PS1 frame */
+      #inventory {
+        position: fixed;
+        top: 22px;
+        left: 272px;
+        z-index: 9999;
+        pointer-events: none;
+        font-family: 'VT323', monospace;
+        color: #f0f0f0;
+        letter-spacing: 1px;
+        user-select: none;
+      }
+
+      #inventory .panel {
+        min-width: 150px;
+        background: rgba(15, 15, 15, 0.75);
+        border: 2px solid #f0f0f0;
+        padding: 12px 14px;
+        border-radius: 3px;
+      }
+
+      #inventory .label {
+        font-size: 16px;
+        margin-bottom: 6px;
+      }
+
+      #inventory .slot {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        font-size: 15px;
+        color: #bdbdbd;
+        padding: 1px 4px;
+        border: 1px solid transparent;
+      }
+
+      #inventory .slot.selected {
+        color: #f0f0f0;
+        border-color: #f0f0f0;
+      }
+
+      #inventory .swatch {
+        width: 8px;
+        height: 8px;
+        border: 1px solid #f0f0f0;
+      }
+
+      #inventory .empty, #inventory .hint {
+        font-size: 14px;
+        color: #8a8a8a;
+      }
+
+      #inventory .hint { margin-top: 6px; }
+
+      #inventory .prompt {
+        margin-top: 8px;
+        font-size: 17px;
+        color: #f2efcf;
+        text-shadow: 0 0 4px #000;
+      }
+    `;
+        document.head.appendChild(css);
+
+        this._slots = this._root.querySelector('.slots');
+        this._hint = this._root.querySelector('.hint');
+        this._prompt = this._root.querySelector('.prompt');
+        this.set([], null);
+        this.setPrompt('');
+    }
+
+    /**
+     * @param {{type: string, count: number}[]} items
+     * @param {string|null} selected
+     */
+    set(items, selected) {
+        this._slots.innerHTML = '';
+        if (!items.length) {
+            const empty = document.createElement('div');
+            empty.className = 'empty';
+            empty.textContent = '(empty)';
+            this._slots.appendChild(empty);
+        }
+        for (const { type, count } of items) {
+            const def = ITEM_TYPES[type];
+            const slot = document.createElement('div');
+            slot.className = type === selected ? 'slot selected' : 'slot';
+            const swatch = document.createElement('span');
+            swatch.className = 'swatch';
+            swatch.style.background = def?.color ?? '#f0f0f0';
+            const text = document.createElement('span');
+            text.textContent = `${def?.label ?? type} x${count}`;
+            slot.append(swatch, text);
+            this._slots.appendChild(slot);
+        }
+    }
+
+    // Key hints under the slots, e.g. "Q use  R next"
+    setHint(text) {
+        this._hint.textContent = text;
+    }
+
+    // Shown under the panel while something can be picked up. Empty hides it
+    setPrompt(text) {
+        this._prompt.textContent = text;
+        this._prompt.style.display = text ? 'block' : 'none';
+    }
+}
@@ -0,0 +1,94 @@
+// Items.js
+// What can lie around the backrooms and what the player carries. Pure data and
+// bookkeeping; Terrain places the items, main.js applies their effects
+
+/**
+ * Every item type. chance is the share of rooms holding one; mesh describes the
+ * placeholder model Terrain builds (an unlit cylinder, lying down or standing)
+ */
+const ITEM_TYPES = {
+    almondWater: {
+        label: 'Almond Water',
+        color: '#e8e0c8',
+        chance: 0.15,
+        heal: 35,
+        mesh: { radius: 1.6, height: 6, lying: false },
+    },
+    battery: {
+        label: 'Battery',
+        color: '#9fe870',
+        chance: 0.2,
+        charge: 40,
+        mesh: { radius: 1.5, height: 4.5, lying: true },
+    },
+    key: {
+        label: 'Key',
+        color: '#f2c14e',
+        chance: 0.05,
+        mesh: { radius: 0.8, height: 6, lying: true },
+    },
+};
+
+class Inventory {
+    /**
+     * @param {object} [params]
+     * params.onChange: (inventory) => void after anything is added, removed or selected
+     */
+    constructor(params = {}) {
+        this._counts = new Map();   // type -> count, in pickup order
+        this._selected = null;
+        this._onChange = typeof params.onChange === 'function' ? params.onChange : (() => { });
+    }
+
+    count(type) { return this._counts.get(type) || 0; }
+    has(type) { return this.count(type) > 0; }
+
+    // [{type, count}] in the order the types were first picked up
+    get items() { return [...this._counts].map(([type, count]) => ({ type, count })); }
+
+    // Type the use action applies to, null when empty
+    get selected() { return this._selected; }
+
+    add(type, n = 1) {
+        if (!ITEM_TYPES[type] || n <= 0) return;
+        this._counts.set(type, this.count(type) + n);
+        if (!this._selected) this._selected = type;
+        this._onChange(this);
+    }
+
+    // False when there are not n to take
+    remove(type, n = 1) {
+        const have = this.count(type);
+        if (have < n) return false;
+        if (have === n) {
+            const types = [...this._counts.keys()];
+            const k = types.indexOf(type);
+            this._counts.delete(type);
+            if (this._selected === type) {
+                const rest = types.filter(t => t !== type);
+                this._selected = rest.length ? rest[Math.min(k, rest.length - 1)] : null;
+            }
+        } else {
+            this._counts.set(type, have - n);
+        }
+        this._onChange(this);
+        return true;
+    }
+
+    // Step the selection through held types, wrapping around
+    selectNext(step = 1) {
+        const types = [...this._counts.keys()];
+        if (!types.length) return;
+        const k = types.indexOf(this._selected);
+        this._selected = types[((k + step) % types.length + types.length) % types.length];
+        this._onChange(this);
+    }
+
+    clear() {
+        this._counts.clear();
+        this._selected = null;
+        this._onChange(this);
+    }
+}
+
+export { ITEM_TYPES, Inventory };
@@ -0,0 +1,113 @@
+// LoadingScreen.js
+// Full screen progress bar while assets load, and the error overlay when one is missing
+export class LoadingScreen {
+    constructor() {
+        this._root = document.createElement('div');
+        this._root.id = 'loading-screen';
+        this._root.innerHTML = `
+      <div class="title">LOADING</div>
+      <div class="bar"><div class="fill"></div></div>
+      <div class="status">&nbsp;</div>
+      <button class="reload">Reload</button>
+    `;
+        document.body.appendChild(this._root);
+
+        const css = document.createElement('style');
+        css.textContent = `
+      #loading-screen {
+        position: fixed;
+        inset: 0;
+        z-index: 100000;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        flex-direction: column;
+        background: #0a0a06;
+        font-family: 'VT323', monospace;
+        color: #f0f0f0;
+        letter-spacing: 1px;
+        user-select: none;
+      }
+
+      #loading-screen .title {
+        font-size: 40px;
+        letter-spacing: 6px;
+        margin-bottom: 18px;
+      }
+
+      #loading-screen .bar {
+        width: 320px;
+        height: 8px;
+        border: 1px solid #f0f0f0;
+        background: #0a0a0a;
+        overflow: hidden;
+      }
+
+      #loading-screen .fill {
+        height: 100%;
+        width: 0%;
+        background: #f0f0f0;
+        transition: width 0.15s linear;
+      }
+
+      #loading-screen .status {
+        margin-top: 10px;
+        font-size: 16px;
+        color: #bdbdbd;
+        max-width: 80vw;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      #loading-screen .reload {
+        display: none;
+        margin-top: 24px;
+        padding: 8px 16px;
+        border: 1px solid #aaa;
+        color: #eee;
+        background: rgba(255,255,255,0.06);
+        cursor: pointer;
+        font-family: inherit;
+        font-size: 18px;
+      }
+
+      #loading-screen.error .title { color: #ff4d4d; }
+      #loading-screen.error .bar { display: none; }
+      #loading-screen.error .status { color: #f0cccc; white-space: normal; text-align: center; }
+      #loading-screen.error .reload { display: block; }
+    `;
+        document.head.appendChild(css);
+
+        this._title = this._root.querySelector('.title');
+        this._fill = this._root.querySelector('.fill');
+        this._status = this._root.querySelector('.status');
+        this._root.querySelector('.reload').addEventListener('click', () => location.reload());
+        this._failed = false;
+    }
+
+    setProgress(loaded, total, url = '') {
+        if (this._failed) return;
+        const pct = total > 0 ? Math.min(100, (loaded / total) * 100) : 0;
+        this._fill.style.width = `${pct}%`;
+        const file = url ? url.split('/').pop() : '';
+        this._status.textContent = `${loaded} / ${total}${file ? `  ${file}` : ''}`;
+    }
+
+    // Switch to the error overlay. Stays up until the page is reloaded
+    // detail replaces the generic reason, e.g. for a file that loaded but is invalid
+    showError(url, detail) {
+        this._failed = true;
+        this._root.classList.add('error');
+        this._root.style.display = 'flex';
+        this._title.textContent = 'FAILED TO LOAD';
+        this._status.textContent = detail ? `${url}: ${detail}` : `Missing or unreadable file: ${url}`;
+    }
+
+    get failed() { return this._failed; }
+
+    hide() {
+        if (this._failed) return;
+        this._root.style.display = 'none';
+    }
+}
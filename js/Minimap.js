@@ -7,24 +7,32 @@ export class Minimap {
    * opts.terrain: Terrain
    * opts.getPlayer: () => THREE.Object3D | null
    * opts.getEnemies: () => THREE.Object3D[]
+   * opts.getItems: () => [{x, z, color}] items to mark, e.g. the ones the player has seen
    * opts.size: minimap size in pixels
+   * opts.visible: start shown (default true)
    * opts.theme: color configuration
    */
   constructor(opts) {
     this.terrain = opts.terrain;
     this.getPlayer = opts.getPlayer;
     this.getEnemies = opts.getEnemies || (() => []);
+    this.getItems = opts.getItems || (() => []);
     this.size = opts.size ?? 220;
 
     this.theme = Object.assign({
       bg: 'rgba(0,0,0,0.6)',
       grid: '#2e2e2e',
       room: '#5a5a36',
+      roomFlickering: '#6e6428',
+      roomFailing: '#7a4424',
+      roomDark: '#141410',
       roomOutline: '#cfcaa0',
       player: '#ffffff',
       playerDir: '#ffffff',
       enemy: '#ff5a5a',
       portal: '#7fd0ff',
+      door: '#b89a66',
+      doorLocked: '#f2c14e',
       bounds: '#777'
     }, opts.theme || {});
 
@@ -46,8 +54,22 @@ export class Minimap {
       pointerEvents: 'none',
     });
     document.body.appendChild(this.canvas);
+    this.setVisible(opts.visible ?? true);
     this.ctx = this.canvas.getContext('2d');
 
+    this._refreshLayout();
+
+    this._buildStaticLayer();
+    // Kept so dispose() can remove it; a leaked listener would keep the old terrain alive
+    this._onResizeHandler = () => this._onResize();
+    window.addEventListener('resize', this._onResizeHandler);
+  }
+
+  // Recompute bounds and room list from the terrain. Called again whenever
+  // streaming loads or unloads rooms
+  _refreshLayout() {
+    this._revision = this.terrain.getRevision ? this.terrain.getRevision() : 0;
+
     // world to minimap bounds
     const b = this.terrain.getBounds();
     this.minX = b.minX; this.maxX = b.maxX;
@@ -71,9 +93,6 @@ export class Minimap {
     // room data
     this.rooms = this.terrain.getRoomsFull();
     this.roomSize = this.terrain.getRoomSize();
-
-    this._buildStaticLayer();
-    window.addEventListener('resize', () => this._onResize());
   }
 
   _onResize() {
@@ -113,22 +132,47 @@ export class Minimap {
     }
     c.restore();
 
-    // draw rooms
+    // draw rooms, filled by the state of their light
+    const fills = {
+      normal: this.theme.room,
+      flickering: this.theme.roomFlickering,
+      failing: this.theme.roomFailing,
+      dark: this.theme.roomDark,
+    };
     c.save();
     for (const r of this.rooms) {
       const half = this.roomSize * 0.5;
       const topLeft = this.worldToMini(r.cx - half, r.cz - half);
       const w = this.roomSize * this.scale;
       const h = this.roomSize * this.scale;
-      c.fillStyle = this.theme.room;
+      const light = this.terrain.getLightState ? this.terrain.getLightState(r.key) : 'normal';
+      c.fillStyle = fills[light] || this.theme.room;
       c.strokeStyle = this.theme.roomOutline;
       c.globalAlpha = 0.6;
       c.fillRect(topLeft.x, topLeft.y, w, h);
-      c.globalAlpha = 0.9;
+      c.globalAlpha = light === 'dark' ? 0.35 : 0.9;
       c.lineWidth = 1.5;
       c.strokeRect(topLeft.x, topLeft.y, w, h);
     }
     c.restore();
+
+    this._drawDoors(this.terrain.getDoors ? this.terrain.getDoors() : []);
+  }
+
+  // Shut doors as bars across their doorway; open ones are left out
+  _drawDoors(doors) {
+    const c = this.ctx;
+    const half = this.roomSize * 0.14;
+    c.save();
+    c.lineWidth = 3;
+    for (const d of doors) {
+      if (d.state === 'open') continue;
+      const a = d.alongX ? this.worldToMini(d.x - half, d.z) : this.worldToMini(d.x, d.z - half);
+      const b = d.alongX ? this.worldToMini(d.x + half, d.z) : this.worldToMini(d.x, d.z + half);
+      c.strokeStyle = d.state === 'locked' ? this.theme.doorLocked : this.theme.door;
+      c.beginPath(); c.moveTo(a.x, a.y); c.lineTo(b.x, b.y); c.stroke();
+    }
+    c.restore();
   }
 
   _drawPlayer(obj) {
@@ -171,10 +215,28 @@ export class Minimap {
     c.restore();
   }
 
+  _drawItems(items) {
+    const c = this.ctx;
+    c.save();
+    c.strokeStyle = '#000';
+    c.lineWidth = 1;
+    for (const item of items) {
+      const p = this.worldToMini(item.x, item.z);
+      c.fillStyle = item.color;
+      c.fillRect(p.x - 2.5, p.y - 2.5, 5, 5);
+      c.strokeRect(p.x - 2.5, p.y - 2.5, 5, 5);
+    }
+    c.restore();
+  }
+
   _drawPortal(pos) {
     if (!pos) return;
     const c = this.ctx;
+    // Pinned to the edge when the portal is outside the loaded area
     const p = this.worldToMini(pos.x, pos.z);
+    const edge = 8;
+    p.x = Math.max(edge, Math.min(this.size - edge, p.x));
+    p.y = Math.max(edge, Math.min(this.size - edge, p.y));
     c.save();
     c.strokeStyle = this.theme.portal;
     c.lineWidth = 2;
@@ -188,10 +250,20 @@ export class Minimap {
     c.restore();
   }
 
+  setVisible(visible) {
+    this.visible = !!visible;
+    this.canvas.style.display = this.visible ? 'block' : 'none';
+  }
+
   update() {
+    if (!this.visible) return;
+    if (this.terrain.getRevision && this.terrain.getRevision() !== this._revision) this._refreshLayout();
+
     // redraw static + dynamic layers
     this._buildStaticLayer();
 
+    this._drawItems(this.getItems ? this.getItems() : []);
+
     const playerObj = this.getPlayer ? this.getPlayer() : null;
     if (playerObj) this._drawPlayer(playerObj);
 
@@ -203,6 +275,7 @@ export class Minimap {
   }
 
   dispose() {
+    window.removeEventListener('resize', this._onResizeHandler);
     this.canvas?.remove();
   }
 }
@@ -0,0 +1,176 @@
+// Pathfinding.js
+// Renderer free graph search. Works on plain data so it can run headless
+
+import { doorKey } from './ChunkLayout.js';
+
+// Door states that are walls for a given purpose. Only a locked door keeps the player out
+const PLAYER_BLOCKED = ['locked'];
+const WALKER_BLOCKED = ['closed', 'locked'];
+
+/** Binary min-heap keyed by priority */
+class MinHeap {
+    constructor() { this._items = []; }
+
+    get size() { return this._items.length; }
+
+    push(value, priority) {
+        const items = this._items;
+        items.push({ value, priority });
+        let i = items.length - 1;
+        while (i > 0) {
+            const p = (i - 1) >> 1;
+            if (items[p].priority <= items[i].priority) break;
+            [items[p], items[i]] = [items[i], items[p]];
+            i = p;
+        }
+    }
+
+    pop() {
+        const items = this._items;
+        if (!items.length) return undefined;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const l = i * 2 + 1, r = l + 1;
+                let m = i;
+                if (l < items.length && items[l].priority < items[m].priority) m = l;
+                if (r < items.length && items[r].priority < items[m].priority) m = r;
+                if (m === i) break;
+                [items[m], items[i]] = [items[i], items[m]];
+                i = m;
+            }
+        }
+        return top.value;
+    }
+}
+
+/**
+ * A* search over an abstract graph
+ * @param {*} start node id
+ * @param {*} goal node id
+ * @param {(n) => Iterable} neighbors adjacent node ids
+ * @param {(a, b) => number} cost edge cost
+ * @param {(n) => number} heuristic admissible estimate from n to goal
+ * @returns {Array|null} node ids from start to goal inclusive, null when unreachable
+ */
+function aStar(start, goal, neighbors, cost, heuristic) {
+    if (start === goal) return [start];
+
+    const open = new MinHeap();
+    const gScore = new Map([[start, 0]]);
+    const cameFrom = new Map();
+    const closed = new Set();
+    open.push(start, heuristic(start));
+
+    while (open.size) {
+        const u = open.pop();
+        if (u === goal) {
+            const path = [u];
+            let n = u;
+            while (cameFrom.has(n)) { n = cameFrom.get(n); path.push(n); }
+            return path.reverse();
+        }
+        if (closed.has(u)) continue;
+        closed.add(u);
+
+        const gu = gScore.get(u);
+        for (const v of neighbors(u) || []) {
+            if (closed.has(v)) continue;
+            const g = gu + cost(u, v);
+            if (g < (gScore.get(v) ?? Infinity)) {
+                gScore.set(v, g);
+                cameFrom.set(v, u);
+                open.push(v, g + heuristic(v));
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Door waypoints for a room path. Each door contributes an approach point on
+ * either side of the shared wall so agents line up with the opening. Rooms
+ * where the path turns also get their center, which keeps the corner clear of pillars
+ * @param {Array<{cx:number, cz:number}>} rooms rooms along the path, in order
+ * @param {number} approach distance from the wall for the approach points
+ * @returns {Array<{x:number, z:number}>}
+ */
+function doorWaypoints(rooms, approach = 0) {
+    const out = [];
+    let prevUx = null, prevUz = null;
+    for (let k = 0; k + 1 < rooms.length; k++) {
+        const a = rooms[k], b = rooms[k + 1];
+        const mx = (a.cx + b.cx) * 0.5, mz = (a.cz + b.cz) * 0.5;
+        const dx = b.cx - a.cx, dz = b.cz - a.cz;
+        const len = Math.hypot(dx, dz) || 1;
+        const ux = dx / len, uz = dz / len;
+
+        if (prevUx !== null && (prevUx !== ux || prevUz !== uz)) out.push({ x: a.cx, z: a.cz });
+        prevUx = ux; prevUz = uz;
+
+        if (approach > 0) {
+            out.push({ x: mx - ux * approach, z: mz - uz * approach });
+            out.push({ x: mx + ux * approach, z: mz + uz * approach });
+        } else {
+            out.push({ x: mx, z: mz });
+        }
+    }
+    return out;
+}
+
+/**
+ * Rooms joined to room u by a door that is not in one of the blocked states
+ * @param {Map<string, {i:number, j:number}>} rooms room by key
+ * @param {Map<string, string[]>} graph room key => adjacent room keys
+ * @param {Map<string, {state:string}>} doors door by doorKey. A doorway without one is open
+ * @param {string} u room key
+ * @param {string[]} blocked door states that count as walls
+ * @returns {string[]}
+ */
+function openNeighbors(rooms, graph, doors, u, blocked) {
+    const nbrs = graph.get(u) || [];
+    if (!doors.size) return nbrs;
+    const ru = rooms.get(u);
+    return nbrs.filter(v => {
+        const rv = rooms.get(v);
+        const door = doors.get(doorKey(ru.i, ru.j, rv.i, rv.j));
+        return !door || !blocked.includes(door.state);
+    });
+}
+
+/**
+ * Waypoints from one room to a point in another through the room graph.
+ * Door approach points come first, the destination itself last
+ * @param {Map<string, {i:number, j:number, cx:number, cz:number}>} rooms room by key
+ * @param {Map<string, string[]>} graph room key => adjacent room keys
+ * @param {Map<string, {state:string}>} doors door by doorKey
+ * @param {string} startKey room the path starts in
+ * @param {string} goalKey room holding the destination
+ * @param {{x:number, z:number}} to destination
+ * @param {{blocked?: string[], approach?: number}} opts blocked defaults to WALKER_BLOCKED
+ * @returns {Array<{x:number, z:number}>|null} null when the goal room is unreachable
+ */
+function findRoomPath(rooms, graph, doors, startKey, goalKey, to, opts = {}) {
+    const blocked = opts.blocked ?? WALKER_BLOCKED;
+    const goal = rooms.get(goalKey);
+    const roomPath = aStar(
+        startKey,
+        goalKey,
+        (u) => openNeighbors(rooms, graph, doors, u, blocked),
+        () => 1,
+        (u) => {
+            const r = rooms.get(u);
+            return Math.abs(r.i - goal.i) + Math.abs(r.j - goal.j);
+        }
+    );
+    if (!roomPath) return null;
+
+    const out = doorWaypoints(roomPath.map(k => rooms.get(k)), opts.approach ?? 0);
+    out.push({ x: to.x, z: to.z });
+    return out;
+}
+
+export { PLAYER_BLOCKED, WALKER_BLOCKED, MinHeap, aStar, doorWaypoints, openNeighbors, findRoomPath };
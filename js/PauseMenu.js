@@ -0,0 +1,88 @@
+// PauseMenu.js
+// Overlay shown while the game loop is suspended
+export class PauseMenu {
+    /**
+     * @param {object} opts
+     * opts.onResume, opts.onRestart, opts.onSettings, opts.onQuit: button handlers.
+     * An entry without a handler is shown disabled
+     */
+    constructor(opts = {}) {
+        this._root = document.createElement('div');
+        this._root.id = 'pause-menu';
+        this._root.innerHTML = `
+      <div class="panel">
+        <div class="title">PAUSED</div>
+        <button data-action="resume">Resume</button>
+        <button data-action="restart">Restart</button>
+        <button data-action="settings">Settings</button>
+        <button data-action="quit">Quit to title</button>
+      </div>
+    `;
+        document.body.appendChild(this._root);
+
+        const css = document.createElement('style');
+        css.textContent = `
+      #pause-menu {
+        position: fixed;
+        inset: 0;
+        z-index: 99998;
+        display: none;
+        align-items: center;
+        justify-content: center;
+        background: rgba(0,0,0,0.6);
+        font-family: 'VT323', monospace;
+        color: #f0f0f0;
+        letter-spacing: 1px;
+        user-select: none;
+      }
+
+      #pause-menu .panel {
+        display: flex;
+        flex-direction: column;
+        gap: 10px;
+        min-width: 240px;
+        background: rgba(15, 15, 15, 0.85);
+        border: 2px solid #f0f0f0;
+        padding: 18px 20px;
+        border-radius: 3px;
+      }
+
+      #pause-menu .title {
+        font-size: 32px;
+        letter-spacing: 6px;
+        text-align: center;
+        margin-bottom: 6px;
+      }
+
+      #pause-menu button {
+        padding: 6px 12px;
+        border: 1px solid #aaa;
+        color: #eee;
+        background: rgba(255,255,255,0.06);
+        cursor: pointer;
+        font-family: inherit;
+        font-size: 20px;
+      }
+      #pause-menu button:hover:not(:disabled) { background: rgba(255,255,255,0.14); }
+      #pause-menu button:disabled { opacity: 0.4; cursor: default; }
+    `;
+        document.head.appendChild(css);
+
+        const handlers = {
+            resume: opts.onResume,
+            restart: opts.onRestart,
+            settings: opts.onSettings,
+            quit: opts.onQuit,
+        };
+        for (const btn of this._root.querySelectorAll('button')) {
+            const fn = handlers[btn.dataset.action];
+            if (typeof fn === 'function') btn.addEventListener('click', () => fn());
+            else btn.disabled = true;
+        }
+    }
+
+    get visible() { return this._root.style.display === 'flex'; }
+
+    show() { this._root.style.display = 'flex'; }
+    hide() { this._root.style.display = 'none'; }
+}
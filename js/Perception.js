@@ -0,0 +1,98 @@
+// Perception.js
+// What an enemy can see and hear of the player. Sight is blocked by the same XZ wall
+// rects used for collision, so hiding behind a wall works. Pure math, runs headless
+import { collidersNear, sweepCircleRect } from './Collision.js';
+
+/**
+ * True when no wall rect crosses the segment a -> b
+ * @param {Array|Function} source collider source, see collidersNear
+ */
+function hasLineOfSight(ax, az, bx, bz, source, out = []) {
+    const rects = collidersNear(source, Math.min(ax, bx), Math.max(ax, bx), Math.min(az, bz), Math.max(az, bz), out);
+    const dx = bx - ax, dz = bz - az;
+    for (const rect of rects) {
+        if (sweepCircleRect(ax, az, dx, dz, 0, rect)) return false;
+    }
+    return true;
+}
+
+class Perception {
+    /**
+     * @param {object} [params]
+     * params.colliders: collider source that blocks sight and muffles sound
+     * params.viewRange: how far the enemy sees, default 450
+     * params.viewAngle: full width of the view cone in radians, default 110 degrees
+     * params.senseRange: anything this close is noticed whatever the cone, default 40
+     * params.hearing: multiplier on the target's noise radius, default 1
+     * params.memory: seconds a last known position stays worth following, default 8
+     * params.visibility: (x, z) => how well lit the target is, 0..1. The view range
+     *   shrinks toward darkRange (fraction of it, default 0.3) in the dark
+     */
+    constructor(params = {}) {
+        this._colliders = params.colliders || null;
+        this._viewRange = typeof params.viewRange === 'number' ? params.viewRange : 450;
+        this._cosHalfView = Math.cos((typeof params.viewAngle === 'number' ? params.viewAngle : Math.PI * 0.61) * 0.5);
+        this._senseRange = typeof params.senseRange === 'number' ? params.senseRange : 40;
+        this._hearing = typeof params.hearing === 'number' ? params.hearing : 1;
+        // Sound through a wall carries this fraction of its open-air radius
+        this._muffle = typeof params.muffle === 'number' ? params.muffle : 0.5;
+        this._memory = typeof params.memory === 'number' ? params.memory : 8;
+        this._visibility = typeof params.visibility === 'function' ? params.visibility : null;
+        this._darkRange = typeof params.darkRange === 'number' ? params.darkRange : 0.3;
+
+        this._canSee = false;
+        this._heard = null;             // {x, z} of a sound heard in the last update
+        this._lastKnown = null;         // {x, z} where the target was last seen or heard
+        this._sinceKnown = Infinity;    // seconds since lastKnown was refreshed
+        this._near = [];
+    }
+
+    get canSee() { return this._canSee; }
+    get heard() { return this._heard; }
+    // Null once the memory has gone stale
+    get lastKnown() { return this._sinceKnown <= this._memory ? this._lastKnown : null; }
+    get timeSinceKnown() { return this._sinceKnown; }
+
+    forget() {
+        this._lastKnown = null;
+        this._sinceKnown = Infinity;
+    }
+
+    /**
+     * Sense the target from (x, z) facing yaw (forward = (sin, 0, cos)).
+     * noise is the target's loudness as a hearing radius in world units, 0 when silent
+     */
+    update(dt, x, z, yaw, tx, tz, noise = 0) {
+        this._sinceKnown += dt;
+        this._canSee = false;
+        this._heard = null;
+
+        const dx = tx - x, dz = tz - z;
+        const dist = Math.hypot(dx, dz);
+        const hearRadius = noise * this._hearing;
+        if (dist > this._viewRange && dist > hearRadius) return this;
+
+        const clear = hasLineOfSight(x, z, tx, tz, this._colliders, this._near);
+
+        let viewRange = this._viewRange;
+        if (this._visibility) {
+            const lit = Math.max(0, Math.min(1, this._visibility(tx, tz)));
+            viewRange *= this._darkRange + (1 - this._darkRange) * lit;
+        }
+        if (clear && dist <= viewRange) {
+            const inCone = dist < 1e-6 || (Math.sin(yaw) * dx + Math.cos(yaw) * dz) / dist >= this._cosHalfView;
+            this._canSee = inCone || dist <= this._senseRange;
+        }
+        if (!this._canSee && hearRadius > 0 && dist <= (clear ? hearRadius : hearRadius * this._muffle)) {
+            this._heard = { x: tx, z: tz };
+        }
+
+        if (this._canSee || this._heard) {
+            this._lastKnown = { x: tx, z: tz };
+            this._sinceKnown = 0;
+        }
+        return this;
+    }
+}
+
+export { Perception, hasLineOfSight };
@@ -0,0 +1,125 @@
+// ProceduralSounds.js
+// Placeholder sounds built from oscillators and noise, used when a sound file is missing.
+// Each recipe renders mono samples; looping ones repeat whole cycles so the seam does not click
+import { SeededRandom } from './Random.js';
+
+const TAU = Math.PI * 2;
+
+// Fluorescent ballast: 60 Hz mains buzz with odd harmonics on top, a little hiss
+function renderHum(out, sr, rng) {
+    for (let i = 0; i < out.length; i++) {
+        const t = i / sr;
+        let s = 0;
+        for (let k = 1; k <= 7; k++) s += Math.sin(TAU * 60 * k * t) / k * (k % 2 ? 1 : 0.35);
+        out[i] = s + (rng.next() - 0.5) * 0.08;
+    }
+}
+
+// Soft heel strike on carpet: low-passed noise burst over a short thump
+function renderFootstep(out, sr, rng) {
+    let lp = 0;
+    for (let i = 0; i < out.length; i++) {
+        const t = i / sr;
+        lp += ((rng.next() - 0.5) - lp) * 0.12;
+        const thump = Math.sin(TAU * (85 - 120 * t) * t) * Math.exp(-t * 45);
+        out[i] = lp * 3 * Math.exp(-t * 26) + thump * 0.7;
+    }
+}
+
+// Two detuned drones beating against each other, with a slowly swelling overtone
+function renderPortal(out, sr) {
+    for (let i = 0; i < out.length; i++) {
+        const t = i / sr;
+        const swell = 0.5 + 0.5 * Math.sin(TAU * 0.25 * t);
+        out[i] = Math.sin(TAU * 55 * t) + Math.sin(TAU * 55.5 * t) * 0.8
+            + Math.sin(TAU * 220.25 * t) * 0.3 * swell;
+    }
+}
+
+// Dissonant cluster stab that bends upward, under a swell of noise
+function renderChase(out, sr, rng) {
+    const cluster = [233, 247, 370, 392, 523];
+    for (let i = 0; i < out.length; i++) {
+        const t = i / sr;
+        const bend = 1 + 0.06 * t;
+        let s = 0;
+        for (const f of cluster) s += Math.sin(TAU * f * bend * t + Math.sin(TAU * 6 * t) * 0.4);
+        const attack = Math.min(1, t / 0.015);
+        const noise = (rng.next() - 0.5) * Math.min(1, t / 0.6);
+        out[i] = (s / cluster.length + noise * 0.5) * attack * Math.exp(-t * 1.8);
+    }
+}
+
+// Body blow: dull thud with a wavering screech over it
+function renderHurt(out, sr) {
+    for (let i = 0; i < out.length; i++) {
+        const t = i / sr;
+        const thud = Math.sin(TAU * (70 - 40 * t) * t) * Math.exp(-t * 14);
+        const screech = Math.sin(TAU * (1400 + 90 * Math.sin(TAU * 11 * t)) * t) * Math.exp(-t * 9) * 0.35;
+        out[i] = thud + screech;
+    }
+}
+
+// Two quick rising blips
+function renderPickup(out, sr) {
+    for (let i = 0; i < out.length; i++) {
+        const t = i / sr;
+        const f = t < 0.07 ? 660 : 990;
+        const local = t < 0.07 ? t : t - 0.07;
+        out[i] = Math.sin(TAU * f * t) * Math.exp(-local * 30);
+    }
+}
+
+// Hinge creak that slides down in pitch, ending on a soft knock
+function renderDoor(out, sr, rng) {
+    for (let i = 0; i < out.length; i++) {
+        const t = i / sr;
+        const creak = Math.sin(TAU * (420 - 180 * t) * t + Math.sin(TAU * 37 * t) * 2) * Math.min(1, t / 0.05) * Math.exp(-t * 3);
+        const k = Math.max(0, t - 0.55);
+        const knock = t > 0.55 ? (Math.sin(TAU * 90 * k) + (rng.next() - 0.5) * 0.6) * Math.exp(-k * 40) : 0;
+        out[i] = creak * 0.6 + knock;
+    }
+}
+
+// A locked handle rattled three times
+function renderLocked(out, sr, rng) {
+    for (let i = 0; i < out.length; i++) {
+        const t = i / sr;
+        const local = t % 0.11;
+        out[i] = ((rng.next() - 0.5) + Math.sin(TAU * 1800 * t) * 0.3) * Math.exp(-local * 60) * (t < 0.33 ? 1 : 0);
+    }
+}
+
+// duration in seconds, peak after normalizing
+const RECIPES = {
+    hum: { duration: 2, peak: 0.6, render: renderHum },
+    footstep: { duration: 0.22, peak: 0.9, render: renderFootstep },
+    portal: { duration: 4, peak: 0.7, render: renderPortal },
+    chase: { duration: 1.6, peak: 0.9, render: renderChase },
+    hurt: { duration: 0.45, peak: 0.9, render: renderHurt },
+    pickup: { duration: 0.2, peak: 0.6, render: renderPickup },
+    door: { duration: 0.75, peak: 0.7, render: renderDoor },
+    locked: { duration: 0.4, peak: 0.7, render: renderLocked },
+};
+
+/**
+ * Mono samples for a named placeholder sound, or null for an unknown name.
+ * Noise is seeded, so the same name always renders the same samples
+ * @returns {Float32Array|null}
+ */
+function synthesize(name, sampleRate = 44100) {
+    const recipe = RECIPES[name];
+    if (!recipe) return null;
+    const out = new Float32Array(Math.round(recipe.duration * sampleRate));
+    recipe.render(out, sampleRate, new SeededRandom(name));
+
+    let max = 0;
+    for (let i = 0; i < out.length; i++) max = Math.max(max, Math.abs(out[i]));
+    if (max > 0) {
+        const k = recipe.peak / max;
+        for (let i = 0; i < out.length; i++) out[i] *= k;
+    }
+    return out;
+}
+
+export { synthesize };
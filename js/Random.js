@@ -0,0 +1,75 @@
+// Random.js
+
+/** Hash a number or string into a 32-bit unsigned seed */
+function hashSeed(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) return value >>> 0;
+
+    const str = String(value ?? '');
+    if (/^\d+$/.test(str)) return Number(str) >>> 0;
+
+    // FNV-1a
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/** Fresh non-deterministic seed for a new run */
+function randomSeed() {
+    return (Math.random() * 0x100000000) >>> 0;
+}
+
+/** Deterministic PRNG (mulberry32) */
+class SeededRandom {
+    constructor(seed = randomSeed()) {
+        this._seed = hashSeed(seed);
+        this._state = this._seed;
+    }
+
+    get seed() { return this._seed; }
+
+    // Float in [0, 1)
+    next() {
+        let t = (this._state = (this._state + 0x6d2b79f5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    // Integer in [0, n)
+    int(n) { return (this.next() * n) | 0; }
+
+    range(min, max) { return min + (max - min) * this.next(); }
+
+    pick(arr) { return arr.length ? arr[this.int(arr.length)] : undefined; }
+
+    // Element chosen with probability proportional to weightOf(element). Non-positive weights never win
+    pickWeighted(arr, weightOf) {
+        let total = 0;
+        for (const item of arr) total += Math.max(0, weightOf(item));
+        if (total <= 0) return undefined;
+        let r = this.next() * total;
+        for (const item of arr) {
+            r -= Math.max(0, weightOf(item));
+            if (r < 0) return item;
+        }
+        return arr[arr.length - 1];
+    }
+
+    shuffle(arr) {
+        for (let i = arr.length - 1; i > 0; i--) {
+            const j = this.int(i + 1);
+            [arr[i], arr[j]] = [arr[j], arr[i]];
+        }
+        return arr;
+    }
+
+    // Independent stream derived from this seed, so consumers do not shift each other
+    fork(salt) {
+        return new SeededRandom(hashSeed(`${this._seed}:${salt}`));
+    }
+}
+
+export { SeededRandom, hashSeed, randomSeed };
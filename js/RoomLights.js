@@ -0,0 +1,132 @@
+// RoomLights.js
+// Ceiling light state per room: normal, flickering, failing or dark. Starting states come
+// from the seed and room key, so a room looks the same when it streams back in; during the
+// run lights near the player fail one at a time and go dark. Pure state, Terrain applies it
+import { SeededRandom } from './Random.js';
+
+const LIGHT_STATES = ['normal', 'flickering', 'failing', 'dark'];
+
+class RoomLights {
+    /**
+     * @param {object} [params]
+     * params.seed: run seed
+     * params.darkChance: share of rooms that start dark, default 0.12
+     * params.flickerChance: share of rooms that start flickering, default 0.18
+     * params.failInterval: [min, max] seconds between failures, default [25, 60]
+     * params.failDuration: [min, max] seconds a failing light lasts, default [3, 6]
+     * params.safeKeys: room keys that always start normal, e.g. the spawn room
+     */
+    constructor(params = {}) {
+        this._root = new SeededRandom(params.seed ?? 0).fork('lights');
+        this._darkChance = typeof params.darkChance === 'number' ? params.darkChance : 0.12;
+        this._flickerChance = typeof params.flickerChance === 'number' ? params.flickerChance : 0.18;
+        this._failInterval = Array.isArray(params.failInterval) ? params.failInterval : [25, 60];
+        this._failDuration = Array.isArray(params.failDuration) ? params.failDuration : [3, 6];
+        this._safeKeys = new Set(params.safeKeys || []);
+
+        this._rooms = new Map();    // room key -> { state, level, rng, dip, dipTimer, failTime, failLength }
+        this._failRng = this._root.fork('failures');
+        this._failTimer = this._failRng.range(this._failInterval[0], this._failInterval[1]);
+        this._time = 0;
+        this._base = 1;
+    }
+
+    _Room(key) {
+        let room = this._rooms.get(key);
+        if (!room) {
+            const rng = this._root.fork(`room:${key}`);
+            const roll = rng.next();
+            let state = 'normal';
+            if (!this._safeKeys.has(key)) {
+                if (roll < this._darkChance) state = 'dark';
+                else if (roll < this._darkChance + this._flickerChance) state = 'flickering';
+            }
+            room = { state, level: 1, rng, dip: false, dipTimer: 0, failTime: 0, failLength: 0 };
+            room.level = this._Level(room);
+            this._rooms.set(key, room);
+        }
+        return room;
+    }
+
+    stateOf(key) { return this._Room(key).state; }
+
+    // Brightness this frame: about 0.8..1.1 when lit, 0 when dark
+    levelOf(key) { return this._Room(key).level; }
+
+    setState(key, state) {
+        if (!LIGHT_STATES.includes(state)) return;
+        const room = this._Room(key);
+        room.state = state;
+        room.dip = false;
+        room.dipTimer = 0;
+        if (state === 'failing') {
+            room.failTime = 0;
+            room.failLength = room.rng.range(this._failDuration[0], this._failDuration[1]);
+        }
+        room.level = this._Level(room);
+    }
+
+    /**
+     * Advance every room in keys. A failure, when due, strikes one of failKeys that is still lit
+     * @param {string[]} keys loaded rooms
+     * @param {string[]} [failKeys] rooms allowed to fail now, e.g. those near the player
+     */
+    update(dt, keys, failKeys = keys) {
+        this._time += dt;
+        const t = this._time;
+        // The gentle hum of a healthy tube, shared by every room
+        const f = 0.92 + 0.04 * Math.sin(t * 3.2) + 0.02 * Math.sin(t * 17.0) + 0.01 * Math.sin(t * 27.7);
+        this._base = Math.max(0.8, Math.min(1.1, f));
+
+        this._failTimer -= dt;
+        if (this._failTimer <= 0) {
+            this._failTimer = this._failRng.range(this._failInterval[0], this._failInterval[1]);
+            const lit = failKeys.filter(k => {
+                const s = this._Room(k).state;
+                return s === 'normal' || s === 'flickering';
+            });
+            const key = this._failRng.pick(lit);
+            if (key !== undefined) this.setState(key, 'failing');
+        }
+
+        for (const key of keys) {
+            const room = this._Room(key);
+            if (room.state === 'flickering' || room.state === 'failing') this._UpdateDips(room, dt);
+            room.level = this._Level(room);
+        }
+    }
+
+    // Flickering tubes cut out now and then; failing ones stutter faster until they die
+    _UpdateDips(room, dt) {
+        let wear = 0;
+        if (room.state === 'failing') {
+            room.failTime += dt;
+            wear = Math.min(1, room.failTime / room.failLength);
+            if (wear >= 1) {
+                room.state = 'dark';
+                room.dip = false;
+                return;
+            }
+        }
+        room.dipTimer -= dt;
+        if (room.dipTimer > 0) return;
+        room.dip = !room.dip;
+        if (room.dip) room.dipTimer = room.rng.range(0.04, 0.2 + 0.3 * wear);
+        else if (room.state === 'failing') room.dipTimer = room.rng.range(0.05, 0.8 * (1 - wear) + 0.05);
+        else room.dipTimer = room.rng.range(0.3, 4);
+    }
+
+    _Level(room) {
+        switch (room.state) {
+            case 'dark': return 0;
+            case 'flickering': return room.dip ? 0.15 : this._base;
+            case 'failing': {
+                const wear = room.failLength > 0 ? Math.min(1, room.failTime / room.failLength) : 0;
+                return room.dip ? 0.05 : this._base * (1 - 0.5 * wear);
+            }
+            default: return this._base;
+        }
+    }
+}
+
+export { RoomLights, LIGHT_STATES };
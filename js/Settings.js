@@ -0,0 +1,102 @@
+// Settings.js
+// Player options persisted in localStorage. Pure data; the UI lives in SettingsPanel.js
+
+const STORAGE_KEY = 'backrooms.settings';
+
+/**
+ * Every option with its default and range. live: applied immediately, otherwise on the next restart.
+ * The settings panel is generated from this table
+ */
+const SETTINGS_SCHEMA = {
+    // Graphics
+    renderScale: { group: 'Graphics', label: 'Resolution scale', type: 'number', default: 1, min: 0.5, max: 1, step: 0.05, live: true },
+    shadowBudget: { group: 'Graphics', label: 'Shadow casting lights', type: 'int', default: 3, min: 2, max: 8, step: 1, live: true },
+    fov: { group: 'Graphics', label: 'Field of view', type: 'int', default: 60, min: 45, max: 100, step: 1, live: true },
+    showMinimap: { group: 'Graphics', label: 'Show minimap', type: 'bool', default: true, live: true },
+    minimapSize: { group: 'Graphics', label: 'Minimap size', type: 'int', default: 220, min: 140, max: 360, step: 10, live: false },
+
+    // Controls
+    followDistance: { group: 'Controls', label: 'Camera distance', type: 'number', default: 35, min: 20, max: 80, step: 1, live: true },
+    followHeight: { group: 'Controls', label: 'Camera height', type: 'number', default: 8, min: 2, max: 30, step: 1, live: true },
+    turnSensitivity: { group: 'Controls', label: 'Turn sensitivity', type: 'number', default: 1, min: 0.25, max: 2, step: 0.05, live: true },
+    mouseLook: { group: 'Controls', label: 'Mouse look (click to lock)', type: 'bool', default: false, live: true },
+    mouseSensitivity: { group: 'Controls', label: 'Mouse sensitivity', type: 'number', default: 1, min: 0.1, max: 3, step: 0.05, live: true },
+    invertMouseY: { group: 'Controls', label: 'Invert mouse Y', type: 'bool', default: false, live: true },
+
+    // Audio
+    masterVolume: { group: 'Audio', label: 'Master volume', type: 'number', default: 0.8, min: 0, max: 1, step: 0.05, live: true },
+    effectsVolume: { group: 'Audio', label: 'Effects volume', type: 'number', default: 1, min: 0, max: 1, step: 0.05, live: true },
+    ambienceVolume: { group: 'Audio', label: 'Ambience volume', type: 'number', default: 0.7, min: 0, max: 1, step: 0.05, live: true },
+};
+
+// Coerce a stored or entered value into the option's type and range
+function sanitize(spec, value) {
+    if (spec.type === 'bool') return typeof value === 'boolean' ? value : spec.default;
+    let n = Number(value);
+    if (!Number.isFinite(n)) return spec.default;
+    if (spec.type === 'int') n = Math.round(n);
+    return Math.max(spec.min, Math.min(spec.max, n));
+}
+
+class Settings {
+    /**
+     * @param {Storage} [storage] defaults to window.localStorage; anything with getItem/setItem works
+     */
+    constructor(storage) {
+        this._storage = storage !== undefined ? storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this._values = {};
+        this._listeners = [];
+
+        let saved = {};
+        try {
+            saved = JSON.parse(this._storage?.getItem(STORAGE_KEY) || '{}') || {};
+        } catch {
+            saved = {};
+        }
+        for (const [key, spec] of Object.entries(SETTINGS_SCHEMA)) {
+            this._values[key] = key in saved ? sanitize(spec, saved[key]) : spec.default;
+        }
+    }
+
+    get schema() { return SETTINGS_SCHEMA; }
+
+    get(key) { return this._values[key]; }
+
+    // Snapshot of every option
+    all() { return { ...this._values }; }
+
+    set(key, value) {
+        const spec = SETTINGS_SCHEMA[key];
+        if (!spec) return;
+        const v = sanitize(spec, value);
+        if (v === this._values[key]) return;
+        this._values[key] = v;
+        this._save();
+        for (const fn of this._listeners) fn(key, v);
+    }
+
+    reset() {
+        for (const [key, spec] of Object.entries(SETTINGS_SCHEMA)) this.set(key, spec.default);
+    }
+
+    /**
+     * @param {(key:string, value:*) => void} fn called after each change
+     * @returns {() => void} unsubscribe
+     */
+    onChange(fn) {
+        this._listeners.push(fn);
+        return () => {
+            const k = this._listeners.indexOf(fn);
+            if (k >= 0) this._listeners.splice(k, 1);
+        };
+    }
+
+    _save() {
+        // Storage can be full or blocked (private mode); settings then last for the session only
+        try {
+            this._storage?.setItem(STORAGE_KEY, JSON.stringify(this._values));
+        } catch { }
+    }
+}
+
+export { Settings, SETTINGS_SCHEMA };
@@ -0,0 +1,251 @@
+// SettingsPanel.js
+// Options overlay generated from the Settings schema
+import { ACTION_LABELS, keyLabel, buttonLabel } from './Input.js';
+
+export class SettingsPanel {
+    /**
+     * @param {object} opts
+     * opts.settings: Settings
+     * opts.input: InputManager, optional; adds a bindings section for keys and gamepad buttons
+     * opts.onClose: () => void, called by the Back button
+     */
+    constructor(opts) {
+        this._settings = opts.settings;
+        this._input = opts.input || null;
+        this._onClose = typeof opts.onClose === 'function' ? opts.onClose : null;
+
+        this._root = document.createElement('div');
+        this._root.id = 'settings-panel';
+        this._root.innerHTML = `
+      <div class="panel">
+        <div class="title">SETTINGS</div>
+        <div class="groups"></div>
+        <div class="note">* applies on the next restart</div>
+        <div class="actions">
+          <button data-action="reset">Defaults</button>
+          <button data-action="back">Back</button>
+        </div>
+      </div>
+    `;
+        document.body.appendChild(this._root);
+
+        const css = document.createElement('style');
+        css.textContent = `
+      #settings-panel {
+        position: fixed;
+        inset: 0;
+        z-index: 99999;
+        display: none;
+        align-items: center;
+        justify-content: center;
+        background: rgba(0,0,0,0.6);
+        font-family: 'VT323', monospace;
+        color: #f0f0f0;
+        letter-spacing: 1px;
+        user-select: none;
+      }
+
+      #settings-panel .panel {
+        min-width: 360px;
+        max-height: 86vh;
+        overflow-y: auto;
+        background: rgba(15, 15, 15, 0.9);
+        border: 2px solid #f0f0f0;
+        padding: 18px 20px;
+        border-radius: 3px;
+      }
+
+      #settings-panel .title {
+        font-size: 32px;
+        letter-spacing: 6px;
+        text-align: center;
+        margin-bottom: 8px;
+      }
+
+      #settings-panel .group {
+        font-size: 18px;
+        color: #cfcaa0;
+        margin: 12px 0 4px;
+      }
+
+      #settings-panel label {
+        display: grid;
+        grid-template-columns: 1fr 130px 44px;
+        align-items: center;
+        gap: 8px;
+        font-size: 18px;
+        margin: 4px 0;
+      }
+      #settings-panel label input[type=checkbox] { justify-self: start; }
+      #settings-panel .value { text-align: right; color: #bdbdbd; }
+
+      #settings-panel .binding {
+        display: grid;
+        grid-template-columns: 1fr 90px 90px 100px;
+        align-items: center;
+        gap: 8px;
+        font-size: 18px;
+        margin: 4px 0;
+      }
+      #settings-panel .binding button { font-size: 16px; padding: 2px 6px; }
+      #settings-panel .binding button.waiting { color: #cfcaa0; border-color: #cfcaa0; }
+
+      #settings-panel .note {
+        margin-top: 10px;
+        font-size: 15px;
+        color: #9a9a9a;
+      }
+
+      #settings-panel .actions {
+        display: flex;
+        justify-content: flex-end;
+        gap: 10px;
+        margin-top: 14px;
+      }
+
+      #settings-panel button {
+        padding: 6px 12px;
+        border: 1px solid #aaa;
+        color: #eee;
+        background: rgba(255,255,255,0.06);
+        cursor: pointer;
+        font-family: inherit;
+        font-size: 18px;
+      }
+      #settings-panel button:hover { background: rgba(255,255,255,0.14); }
+    `;
+        document.head.appendChild(css);
+
+        this._inputs = new Map(); // key -> { input, value }
+        this._bindingButtons = []; // { action, slot, pad, button }
+        this._build();
+        if (this._input) this._buildBindings();
+
+        this._root.querySelector('[data-action="reset"]').addEventListener('click', () => {
+            this._settings.reset();
+            if (this._input) {
+                this._input.resetBindings();
+                this._showBindings();
+            }
+        });
+        this._root.querySelector('[data-action="back"]').addEventListener('click', () => {
+            this.hide();
+            if (this._onClose) this._onClose();
+        });
+
+        // Reflect changes made anywhere, including Defaults
+        this._settings.onChange((key, value) => this._show(key, value));
+    }
+
+    _build() {
+        const groups = this._root.querySelector('.groups');
+        let current = null;
+        for (const [key, spec] of Object.entries(this._settings.schema)) {
+            if (spec.group !== current) {
+                current = spec.group;
+                const head = document.createElement('div');
+                head.className = 'group';
+                head.textContent = current;
+                groups.appendChild(head);
+            }
+
+            const row = document.createElement('label');
+            const name = document.createElement('span');
+            name.textContent = spec.live ? spec.label : `${spec.label} *`;
+            const input = document.createElement('input');
+            const value = document.createElement('span');
+            value.className = 'value';
+
+            if (spec.type === 'bool') {
+                input.type = 'checkbox';
+                input.addEventListener('change', () => this._settings.set(key, input.checked));
+            } else {
+                input.type = 'range';
+                input.min = String(spec.min);
+                input.max = String(spec.max);
+                input.step = String(spec.step);
+                input.addEventListener('input', () => this._settings.set(key, Number(input.value)));
+            }
+
+            row.append(name, input, value);
+            groups.appendChild(row);
+            this._inputs.set(key, { input, value });
+            this._show(key, this._settings.get(key));
+        }
+    }
+
+    // Two key slots and a gamepad slot per action. Clicking one waits for the next key or
+    // button press; Escape cancels
+    _buildBindings() {
+        const groups = this._root.querySelector('.groups');
+        const head = document.createElement('div');
+        head.className = 'group';
+        head.textContent = 'Bindings';
+        groups.appendChild(head);
+
+        for (const action of this._input.actions) {
+            const row = document.createElement('div');
+            row.className = 'binding';
+            const name = document.createElement('span');
+            name.textContent = ACTION_LABELS[action] || action;
+            row.appendChild(name);
+
+            for (const slot of [0, 1]) {
+                const button = document.createElement('button');
+                button.addEventListener('click', () => {
+                    button.classList.add('waiting');
+                    button.textContent = 'press a key';
+                    this._input.captureKey().then((code) => {
+                        if (code) this._input.bindKey(action, code, slot);
+                        this._showBindings();
+                    });
+                });
+                row.appendChild(button);
+                this._bindingButtons.push({ action, slot, pad: false, button });
+            }
+
+            const pad = document.createElement('button');
+            pad.addEventListener('click', () => {
+                pad.classList.add('waiting');
+                pad.textContent = 'press a button';
+                this._input.captureButton().then((index) => {
+                    if (index !== null) this._input.bindButton(action, index, 0);
+                    this._showBindings();
+                });
+            });
+            row.appendChild(pad);
+            this._bindingButtons.push({ action, slot: 0, pad: true, button: pad });
+            groups.appendChild(row);
+        }
+        this._showBindings();
+    }
+
+    _showBindings() {
+        for (const { action, slot, pad, button } of this._bindingButtons) {
+            const binding = this._input.getBinding(action);
+            button.classList.remove('waiting');
+            button.textContent = pad ? buttonLabel(binding?.buttons[slot]) : keyLabel(binding?.keys[slot]);
+        }
+    }
+
+    _show(key, v) {
+        const entry = this._inputs.get(key);
+        if (!entry) return;
+        if (entry.input.type === 'checkbox') {
+            entry.input.checked = v;
+            entry.value.textContent = '';
+        } else {
+            entry.input.value = String(v);
+            entry.value.textContent = Number.isInteger(v) ? String(v) : v.toFixed(2);
+        }
+    }
+
+    get visible() { return this._root.style.display === 'flex'; }
+
+    show() { this._root.style.display = 'flex'; }
+    hide() {
+        this._root.style.display = 'none';
+        // A binding still waiting for a press would swallow the next one in game
+        if (this._input) this._input.cancelCapture();
+    }
+}
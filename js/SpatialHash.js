@@ -0,0 +1,88 @@
+// SpatialHash.js
+// Uniform grid over the XZ plane for {minX,maxX,minZ,maxZ} rectangles. Pure data
+
+// Numeric cell keys avoid string building in the hot query path. Valid for |cell| < 32768
+const cellKey = (x, z) => (x + 32768) * 65536 + (z + 32768);
+
+class SpatialHash {
+    // origin shifts the grid, e.g. -cellSize / 2 makes cells line up with centered rooms
+    constructor(cellSize = 300, origin = 0) {
+        this._cell = cellSize;
+        this._origin = origin;
+        this._cells = new Map();  // cellKey -> rect[]
+        this._seen = new Set();   // rects already returned by the running query, reused
+        this._count = 0;
+    }
+
+    get size() { return this._count; }
+
+    _range(minX, maxX, minZ, maxZ) {
+        const c = this._cell, o = this._origin;
+        return {
+            x0: Math.floor((minX - o) / c), x1: Math.floor((maxX - o) / c),
+            z0: Math.floor((minZ - o) / c), z1: Math.floor((maxZ - o) / c),
+        };
+    }
+
+    insert(rect) {
+        const { x0, x1, z0, z1 } = this._range(rect.minX, rect.maxX, rect.minZ, rect.maxZ);
+        for (let z = z0; z <= z1; z++) {
+            for (let x = x0; x <= x1; x++) {
+                const key = cellKey(x, z);
+                let list = this._cells.get(key);
+                if (!list) { list = []; this._cells.set(key, list); }
+                list.push(rect);
+            }
+        }
+        this._count++;
+    }
+
+    remove(rect) {
+        const { x0, x1, z0, z1 } = this._range(rect.minX, rect.maxX, rect.minZ, rect.maxZ);
+        let found = false;
+        for (let z = z0; z <= z1; z++) {
+            for (let x = x0; x <= x1; x++) {
+                const key = cellKey(x, z);
+                const list = this._cells.get(key);
+                if (!list) continue;
+                const k = list.indexOf(rect);
+                if (k < 0) continue;
+                list.splice(k, 1);
+                found = true;
+                if (!list.length) this._cells.delete(key);
+            }
+        }
+        if (found) this._count--;
+    }
+
+    clear() {
+        this._cells.clear();
+        this._count = 0;
+    }
+
+    /**
+     * Rectangles whose cells overlap the query box. May include rects that do not
+     * overlap the box itself, never misses one that does
+     * @param {Array} [out] reused result array
+     */
+    query(minX, maxX, minZ, maxZ, out = []) {
+        out.length = 0;
+        const seen = this._seen;
+        const { x0, x1, z0, z1 } = this._range(minX, maxX, minZ, maxZ);
+        for (let z = z0; z <= z1; z++) {
+            for (let x = x0; x <= x1; x++) {
+                const list = this._cells.get(cellKey(x, z));
+                if (!list) continue;
+                for (const rect of list) {
+                    if (seen.has(rect)) continue;
+                    seen.add(rect);
+                    out.push(rect);
+                }
+            }
+        }
+        seen.clear();
+        return out;
+    }
+}
+
+export { SpatialHash };
@@ -45,6 +45,39 @@ class CharacterFSM extends FiniteStateMachine {
         this._AddState('idle', IdleState);
         this._AddState('walk', WalkState);
         this._AddState('run', RunState);
+        this._AddState('attack', AttackState);
+        this._AddState('hurt', HurtState);
+        this._AddState('dead', DeadState);
+    }
+
+    // Flinch, restarting the flinch if already in it. Nothing interrupts death
+    Hurt() {
+        const cur = this._currentState;
+        if (cur?.Name === 'dead') return;
+        if (cur?.Name === 'hurt') cur.Restart();
+        else this.SetState('hurt');
+    }
+
+    Die() {
+        this.SetState('dead');
+    }
+
+    // Back to idle, walk or run, whichever the input asks for
+    _Resume(input) {
+        if (this._IsMoving(input)) this.SetState(this._WantsRun(input) ? 'run' : 'walk');
+        else this.SetState('idle');
+    }
+
+    _WantsAttack(input) {
+        return (input.isDown('attack') || input.pressed('attack')) && this._proxy.canAttack();
+    }
+
+    _IsMoving(input) {
+        return this._proxy.isMoving(input);
+    }
+
+    _WantsRun(input) {
+        return input.isDown('run') && this._proxy.canRun();
     }
 }
 
@@ -74,7 +107,11 @@ class WalkState extends State {
     Enter(prevState) {
         const curAction = this._parent._proxy._animations['walk'].action;
         if (prevState) {
-            const prevAction = this._parent._proxy._animations[prevState.Name].action;
+            const prevAction = this._parent._proxy._animations[prevState.Name]?.action;
+            if (!prevAction) {
+                curAction.reset().play();
+                return;
+            }
 
             curAction.enabled = true;
 
@@ -98,8 +135,12 @@ class WalkState extends State {
     }
 
     Update(timeElapsed, input) {
-        if (input._keys.forward || input._keys.backward) {
-            if (input._keys.shift) {
+        if (this._parent._WantsAttack(input)) {
+            this._parent.SetState('attack');
+            return;
+        }
+        if (this._parent._IsMoving(input)) {
+            if (this._parent._WantsRun(input)) {
                 this._parent.SetState('run');
             }
             return;
@@ -123,7 +164,11 @@ class RunState extends State {
     Enter(prevState) {
         const curAction = this._parent._proxy._animations['run'].action;
         if (prevState) {
-            const prevAction = this._parent._proxy._animations[prevState.Name].action;
+            const prevAction = this._parent._proxy._animations[prevState.Name]?.action;
+            if (!prevAction) {
+                curAction.reset().play();
+                return;
+            }
 
             curAction.enabled = true;
 
@@ -147,8 +192,12 @@ class RunState extends State {
     }
 
     Update(timeElapsed, input) {
-        if (input._keys.forward || input._keys.backward) {
-            if (!input._keys.shift) {
+        if (this._parent._WantsAttack(input)) {
+            this._parent.SetState('attack');
+            return;
+        }
+        if (this._parent._IsMoving(input)) {
+            if (!this._parent._WantsRun(input)) {
                 this._parent.SetState('walk');
             }
             return;
@@ -172,7 +221,11 @@ class IdleState extends State {
     Enter(prevState) {
         const idleAction = this._parent._proxy._animations['idle'].action;
         if (prevState) {
-            const prevAction = this._parent._proxy._animations[prevState.Name].action;
+            const prevAction = this._parent._proxy._animations[prevState.Name]?.action;
+            if (!prevAction) {
+                idleAction.reset().play();
+                return;
+            }
             idleAction.time = 0.0;
             idleAction.enabled = true;
             idleAction.setEffectiveTimeScale(1.0);
@@ -188,11 +241,145 @@ class IdleState extends State {
     }
 
     Update(_, input) {
-        if (input._keys.forward || input._keys.backward) {
+        if (this._parent._WantsAttack(input)) {
+            this._parent.SetState('attack');
+            return;
+        }
+        if (this._parent._IsMoving(input)) {
             this._parent.SetState('walk');
         }
     }
 }
 
 
-export { FiniteStateMachine, CharacterFSM, State, IdleState, WalkState, RunState };
+// Melee attack state. Plays once, lands the hit partway through, then returns to locomotion
+class AttackState extends State {
+    constructor(parent) {
+        super(parent);
+        this._elapsed = 0;
+        this._duration = 0.6;
+        this._hitTime = 0.25;
+        this._hitDone = false;
+    }
+
+    get Name() {
+        return 'attack';
+    }
+
+    Enter(prevState) {
+        const anim = this._parent._proxy._animations['attack'];
+        if (anim?.clip?.duration) {
+            this._duration = anim.clip.duration;
+            this._hitTime = this._duration * 0.4;
+        }
+        this._parent._proxy.attackStarted();
+
+        if (!anim) return;
+        const curAction = anim.action;
+        const prevAction = prevState ? this._parent._proxy._animations[prevState.Name]?.action : null;
+
+        curAction.reset();
+        curAction.setEffectiveTimeScale(1.0);
+        curAction.setEffectiveWeight(1.0);
+        if (prevAction) curAction.crossFadeFrom(prevAction, 0.1, true);
+        curAction.play();
+    }
+
+    Exit() {
+    }
+
+    Update(timeElapsed, input) {
+        this._elapsed += timeElapsed;
+
+        if (!this._hitDone && this._elapsed >= this._hitTime) {
+            this._hitDone = true;
+            this._parent._proxy.attackHit();
+        }
+        if (this._elapsed < this._duration) return;
+
+        this._parent._Resume(input);
+    }
+}
+
+
+// Flinch after taking damage. Plays the hurt clip once, then returns to locomotion
+class HurtState extends State {
+    constructor(parent) {
+        super(parent);
+        this._elapsed = 0;
+        this._duration = 0.5;
+    }
+
+    get Name() {
+        return 'hurt';
+    }
+
+    Enter(prevState) {
+        const anim = this._parent._proxy._animations['hurt'];
+        if (anim?.clip?.duration) this._duration = anim.clip.duration;
+        if (!anim) return;
+
+        const curAction = anim.action;
+        const prevAction = prevState ? this._parent._proxy._animations[prevState.Name]?.action : null;
+        curAction.reset();
+        curAction.setEffectiveTimeScale(1.0);
+        curAction.setEffectiveWeight(1.0);
+        if (prevAction && prevAction !== curAction) curAction.crossFadeFrom(prevAction, 0.06, true);
+        curAction.play();
+    }
+
+    // Hit again mid-flinch
+    Restart() {
+        this._elapsed = 0;
+        this._parent._proxy._animations['hurt']?.action.reset().play();
+    }
+
+    Update(timeElapsed, input) {
+        this._elapsed += timeElapsed;
+        if (this._elapsed >= this._duration) this._parent._Resume(input);
+    }
+}
+
+
+// Final state. Plays the death clip, or tips the body over without one, then reports once
+class DeadState extends State {
+    constructor(parent) {
+        super(parent);
+        this._elapsed = 0;
+        this._duration = 1.2;
+        this._reported = false;
+    }
+
+    get Name() {
+        return 'dead';
+    }
+
+    Enter(prevState) {
+        const anim = this._parent._proxy._animations['death'];
+        const prevAction = prevState ? this._parent._proxy._animations[prevState.Name]?.action : null;
+        if (!anim) {
+            if (prevAction) prevAction.fadeOut(0.4);
+            return;
+        }
+        if (anim.clip?.duration) this._duration = anim.clip.duration;
+        const curAction = anim.action;
+        curAction.reset();
+        curAction.setEffectiveTimeScale(1.0);
+        curAction.setEffectiveWeight(1.0);
+        if (prevAction && prevAction !== curAction) curAction.crossFadeFrom(prevAction, 0.1, true);
+        curAction.play();
+    }
+
+    Update(timeElapsed) {
+        this._elapsed += timeElapsed;
+        const t = Math.min(1, this._elapsed / this._duration);
+        if (!this._parent._proxy._animations['death']) this._parent._proxy.fall(t);
+        if (t >= 1 && !this._reported) {
+            this._reported = true;
+            this._parent._proxy.deathFinished();
+        }
+    }
+}
+
+
+export { FiniteStateMachine, CharacterFSM, State, IdleState, WalkState, RunState, AttackState, HurtState, DeadState };
@@ -1,17 +1,75 @@
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.118/build/three.module.js';
-
-/** Terrain: DFS maze generation and portal system */
+import { SeededRandom, hashSeed, randomSeed } from './Random.js';
+import { PLAYER_BLOCKED, WALKER_BLOCKED, openNeighbors, findRoomPath } from './Pathfinding.js';
+import { DIRS, DIR_KEYS, roomKey, chunkKey, generateChunk } from './ChunkLayout.js';
+import { SpatialHash } from './SpatialHash.js';
+import { AssetCache } from './AssetCache.js';
+import { RoomLights } from './RoomLights.js';
+import { ITEM_TYPES } from './Items.js';
+
+// Room dimensions in world units
+const ROOM_SIZE = 300;
+const ROOM_HEIGHT = 40;
+const WALL_THICK = 2;
+const PILLAR_SIZE = 20;
+const PILLAR_INSET = 100;
+const CENTER_LIGHT_SIZE = 30;
+const DOOR_WIDTH = 80;
+const DOOR_HEIGHT = 25;
+// Door panels hung in some doorways: thickness, and how fast they swing in radians per second
+const DOOR_THICK = 3;
+const DOOR_SWING_SPEED = 3;
+
+// Room light intensities at full brightness
+const SPOT_INTENSITY = 0.9;
+const ACCENT_INTENSITY = 0.32;
+// A dead panel still shows faintly against the ceiling
+const DARK_PANEL = 0.06;
+// Lights may only fail among this many rooms nearest the player, so failures are seen
+const FAIL_NEAREST = 9;
+
+// Where in a room an item may lie: between the pillars, off the walls. Offsets from the room center
+const PICKUP_SPOTS = [[90, 0], [-90, 0], [0, 90], [0, -90]];
+const PICKUP_JITTER = 20;
+// What may wait behind a locked door, one picked per lock
+const LOCK_REWARDS = ['almondWater', 'battery'];
+
+const TEX_BASE = 'resources/textures/';
+const TEXTURES = {
+    carpetColor: `${TEX_BASE}backrooms-carpet-diffuse.png`,
+    carpetNormal: `${TEX_BASE}backrooms-carpet-normal.png`,
+    wallColor: `${TEX_BASE}backrooms-wall-diffuse.png`,
+    ceilLightCol: `${TEX_BASE}backrooms-ceiling-light-diffuse.png`,
+    ceilTileColor: `${TEX_BASE}backrooms-ceiling-tile-diffuse.png`,
+};
+
+/** Terrain: endless backrooms streamed in deterministic chunks, plus the portal system */
 class Terrain {
     constructor(scene, params = {}) {
         this._scene = scene;
         this._group = null;
-        this._nRooms = Number.isInteger(params.nRooms) && params.nRooms > 0 ? params.nRooms : 12;
+
+        // Textures come from a cache that outlives this terrain, so a restart reuses them
+        this._assets = params.assets || new AssetCache();
+
+        // Streaming: chunks of chunkRooms x chunkRooms rooms, loaded within viewChunks of the player
+        this._chunkRooms = Number.isInteger(params.chunkRooms) && params.chunkRooms > 0 ? params.chunkRooms : 2;
+        this._viewChunks = Number.isInteger(params.viewChunks) && params.viewChunks >= 0 ? params.viewChunks : 1;
+        this._chunks = new Map();       // chunk key -> { key, ci, cj, group, rooms, colliders, disposables }
+        this._centerChunk = null;       // { ci, cj }
+        this._revision = 0;             // bumped whenever rooms load or unload
+
+        // Seeded randomness: same seed gives the same maze, portal and room picks
+        this._seed = params.seed !== undefined && params.seed !== null ? hashSeed(params.seed) : randomSeed();
+        this._roomRng = new SeededRandom(this._seed).fork('rooms');
 
         this.spawn = null;      // THREE.Vector3 spawn point
-        this._rooms = [];       // {i,j,cx,cz} room list
-        this._colliders = [];   // {minX,maxX,minZ,maxZ} AABB list
+        this._rooms = [];       // {i,j,cx,cz} loaded room list
+        this._colliders = [];   // {minX,maxX,minZ,maxZ} AABB list, edited in place as chunks stream
+        this._colliderIndex = new SpatialHash(ROOM_SIZE, -ROOM_SIZE / 2); // same rects, bucketed by room cell
 
-        // Room graph
+        // Room graph, keyed by room key "i,j"
+        this._roomsByKey = new Map();
         this._roomIndexByKey = new Map();
         this._graph = new Map();
         this._spawnIndex = 0;
@@ -32,21 +90,38 @@ class Terrain {
         this._lightingFollowGetter = null;
         this._lastShadowRooms = null;
         this._shadowSetChanged = false;
+        // The player's own light, first in line for a shadow map while isActive() says it is on
+        this._playerLight = null;
+        this._playerLightActive = null;
+        this._lastPlayerLit = false;
+
+        // Pickups lying in loaded rooms, and those already taken (kept while rooms stream out)
+        this._pickups = new Map();      // id -> { id, type, room, mesh }
+        this._collected = new Set();
+        this._pickupTime = 0;
+
+        // Doors hung in loaded doorways, and states changed during the run (kept while rooms stream out)
+        this._doors = new Map();        // door key -> { key, state, chunk, x, z, alongX, pivot, lock, swing, angle, collider, blocking }
+        this._doorStates = new Map();   // door key -> { state, swing }
 
-        this._ceilLightMat = null;
+        this._ceilLightMat = null;              // template for the per-room panel materials
+        // Per-room light states. Kept for unloaded rooms too, so a dead light stays dead
+        this._lights = new RoomLights({ seed: this._seed, safeKeys: [roomKey(0, 0)] });
 
         this._Init();
     }
 
-    _Init() {
-        const loader = new THREE.TextureLoader();
-        const texBase = 'resources/textures/';
+    // Files the terrain cannot render without, for AssetCache.preload
+    static requiredAssets() {
+        return { textures: Object.values(TEXTURES) };
+    }
 
-        const carpetColor = loader.load(`${texBase}backrooms-carpet-diffuse.png`);
-        const carpetNormal = loader.load(`${texBase}backrooms-carpet-normal.png`);
-        const wallColor = loader.load(`${texBase}backrooms-wall-diffuse.png`);
-        const ceilLightCol = loader.load(`${texBase}backrooms-ceiling-light-diffuse.png`);
-        const ceilTileColor = loader.load(`${texBase}backrooms-ceiling-tile-diffuse.png`);
+    _Init() {
+        const carpetColor = this._assets.texture(TEXTURES.carpetColor);
+        const carpetNormal = this._assets.texture(TEXTURES.carpetNormal);
+        const wallColor = this._assets.texture(TEXTURES.wallColor);
+        const ceilLightCol = this._assets.texture(TEXTURES.ceilLightCol);
+        const ceilTileColor = this._assets.texture(TEXTURES.ceilTileColor);
 
         for (const t of [carpetColor, carpetNormal, wallColor, ceilLightCol, ceilTileColor]) {
             t.wrapS = t.wrapT = THREE.RepeatWrapping;
@@ -66,18 +141,7 @@ class Terrain {
         ceilTileColor.repeat.set(TILE_REPEAT, TILE_REPEAT);
         ceilLightCol.repeat.set(LIGHT_REPEAT, LIGHT_REPEAT);
 
-        const ROOM_SIZE = 300;
         this._roomSize = ROOM_SIZE;
-        const ROOM_HEIGHT = 40;
-        const WALL_THICK = 2;
-        const PILLAR_SIZE = 20;
-        const PILLAR_INSET = 100;
-        const CENTER_LIGHT_SIZE = 30;
-
-        const DOOR_WIDTH = 80;
-        const DOOR_HEIGHT = 25;
-
-        const group = new THREE.Group();
 
         const floorMat = new THREE.MeshStandardMaterial({
             map: carpetColor,
@@ -93,271 +157,194 @@ class Terrain {
 
         const pillarMat = new THREE.MeshLambertMaterial({ map: wallColor });
 
-        const GEO_FLOOR = new THREE.PlaneGeometry(ROOM_SIZE, ROOM_SIZE);
-        const GEO_CEILING = new THREE.PlaneGeometry(ROOM_SIZE, ROOM_SIZE);
-        const GEO_LIGHT = new THREE.PlaneGeometry(CENTER_LIGHT_SIZE, CENTER_LIGHT_SIZE);
-
-        const addRectCollider = (minX, maxX, minZ, maxZ) => {
-            this._colliders.push({ minX, maxX, minZ, maxZ });
-        };
-
-        const createWallXZ = (sizeX, height, sizeZ, mat, center, registerCollider = true) => {
-            const mesh = new THREE.Mesh(new THREE.BoxGeometry(sizeX, height, sizeZ), mat);
-            mesh.position.copy(center);
-            mesh.castShadow = true;
-            mesh.receiveShadow = true;
-            if (registerCollider) {
-                const cx = center.x, cz = center.z;
-                addRectCollider(cx - sizeX * 0.5, cx + sizeX * 0.5, cz - sizeZ * 0.5, cz + sizeZ * 0.5);
-            }
-            return mesh;
-        };
-
-        const freeze = (mesh) => {
-            mesh.matrixAutoUpdate = false;
-            mesh.updateMatrix();
-        };
-
-        const addWallWithDoor = (parent, isHorizontal, roomCenterXZ, mat) => {
-            const half = ROOM_SIZE / 2;
-            const yCenter = ROOM_HEIGHT / 2;
-            const segThickness = WALL_THICK;
-
-            if (isHorizontal) {
-                const totalLen = ROOM_SIZE;
-                const sideLen = (totalLen - DOOR_WIDTH) / 2;
-
-                const leftC = new THREE.Vector3(roomCenterXZ.x - (half - sideLen / 2), yCenter, roomCenterXZ.z);
-                const rightC = new THREE.Vector3(roomCenterXZ.x + (half - sideLen / 2), yCenter, roomCenterXZ.z);
-
-                const left = createWallXZ(sideLen, ROOM_HEIGHT, segThickness, mat, leftC, true);
-                const right = createWallXZ(sideLen, ROOM_HEIGHT, segThickness, mat, rightC, true);
-                parent.add(left); freeze(left);
-                parent.add(right); freeze(right);
-
-                const lintelH = ROOM_HEIGHT - DOOR_HEIGHT;
-                const lintelC = new THREE.Vector3(roomCenterXZ.x, DOOR_HEIGHT + lintelH / 2, roomCenterXZ.z);
-                const lintel = createWallXZ(DOOR_WIDTH, lintelH, segThickness, mat, lintelC, false);
-                parent.add(lintel); freeze(lintel);
-            } else {
-                const totalLen = ROOM_SIZE;
-                const sideLen = (totalLen - DOOR_WIDTH) / 2;
-
-                const leftC = new THREE.Vector3(roomCenterXZ.x, yCenter, roomCenterXZ.z - (half - sideLen / 2));
-                const rightC = new THREE.Vector3(roomCenterXZ.x, yCenter, roomCenterXZ.z + (half - sideLen / 2));
-
-                const left = createWallXZ(segThickness, ROOM_HEIGHT, sideLen, mat, leftC, true);
-                const right = createWallXZ(segThickness, ROOM_HEIGHT, sideLen, mat, rightC, true);
-                parent.add(left); freeze(left);
-                parent.add(right); freeze(right);
-
-                const lintelH = ROOM_HEIGHT - DOOR_HEIGHT;
-                const lintelC = new THREE.Vector3(roomCenterXZ.x, DOOR_HEIGHT + lintelH / 2, roomCenterXZ.z);
-                const lintel = createWallXZ(segThickness, lintelH, DOOR_WIDTH, mat, lintelC, false);
-                parent.add(lintel); freeze(lintel);
-            }
+        // Shared by every chunk, so never disposed on unload
+        this._mats = { floorMat, wallMat, ceilTileMat, ceilLightMat, pillarMat };
+        this._geos = {
+            floor: new THREE.PlaneGeometry(ROOM_SIZE, ROOM_SIZE),
+            light: new THREE.PlaneGeometry(CENTER_LIGHT_SIZE, CENTER_LIGHT_SIZE),
+            pillar: new THREE.BoxGeometry(PILLAR_SIZE, ROOM_HEIGHT, PILLAR_SIZE),
         };
-
-        // Maze generation
-        const targetRooms = this._nRooms;
-        let rows = Math.floor(Math.sqrt(targetRooms));
-        if (rows < 1) rows = 1;
-        let cols = Math.ceil(targetRooms / rows);
-
-        const DIRS = {
-            N: { di: 0, dj: 1, opposite: 'S' },
-            S: { di: 0, dj: -1, opposite: 'N' },
-            E: { di: 1, dj: 0, opposite: 'W' },
-            W: { di: -1, dj: 0, opposite: 'E' },
-        };
-        const dirKeys = ['N', 'S', 'E', 'W'];
-
-        const shuffle = (arr) => { for (let i = arr.length - 1; i > 0; i--) { const j = (Math.random() * (i + 1)) | 0;[arr[i], arr[j]] = [arr[j], arr[i]]; } return arr; };
-        const idx = (i, j) => j * cols + i;
-        const inBounds = (i, j) => i >= 0 && i < cols && j >= 0 && j < rows;
-
-        const gridOpen = Array.from({ length: cols * rows }, () => ({ N: false, S: false, E: false, W: false }));
-        const visited = Array.from({ length: cols * rows }, () => false);
-        const visitOrder = [];
-
-        const startI = 0, startJ = 0;
-        const stack = [{ i: startI, j: startJ }];
-        visited[idx(startI, startJ)] = true;
-        visitOrder.push({ i: startI, j: startJ });
-
-        while (stack.length) {
-            const top = stack[stack.length - 1];
-            const options = shuffle(dirKeys.slice());
-            let advanced = false;
-            for (const d of options) {
-                const ni = top.i + DIRS[d].di;
-                const nj = top.j + DIRS[d].dj;
-                if (!inBounds(ni, nj)) continue;
-                const nIndex = idx(ni, nj);
-                if (visited[nIndex]) continue;
-
-                gridOpen[idx(top.i, top.j)][d] = true;
-                gridOpen[nIndex][DIRS[d].opposite] = true;
-
-                visited[nIndex] = true;
-                stack.push({ i: ni, j: nj });
-                visitOrder.push({ i: ni, j: nj });
-                advanced = true;
-                break;
-            }
-            if (!advanced) stack.pop();
+        // Item placeholders are unlit, so they show in a dark room
+        for (const [type, def] of Object.entries(ITEM_TYPES)) {
+            this._geos[`item:${type}`] = new THREE.CylinderGeometry(def.mesh.radius, def.mesh.radius, def.mesh.height, 10);
+            this._mats[`item:${type}`] = new THREE.MeshBasicMaterial({ color: def.color });
         }
+        this._geos.door = new THREE.BoxGeometry(DOOR_WIDTH, DOOR_HEIGHT, DOOR_THICK);
+        this._geos.doorLock = new THREE.BoxGeometry(6, 8, DOOR_THICK + 1);
+        this._mats.door = new THREE.MeshLambertMaterial({ color: 0x8c7a52 });
+        this._mats.doorLock = new THREE.MeshBasicMaterial({ color: ITEM_TYPES.key.color });
 
-        const builtCells = visitOrder.slice(0, targetRooms);
+        const group = new THREE.Group();
+        this._group = group;
 
-        // Center the cluster
-        let minI = Infinity, maxI = -Infinity, minJ = Infinity, maxJ = -Infinity;
-        for (const c of builtCells) { if (c.i < minI) minI = c.i; if (c.i > maxI) maxI = c.i; if (c.j < minJ) minJ = c.j; if (c.j > maxJ) maxJ = c.j; }
-        const midI = (minI + maxI) / 2, midJ = (minJ + maxJ) / 2;
-        for (const c of builtCells) {
-            c.cx = (c.i - midI) * ROOM_SIZE;
-            c.cz = (c.j - midJ) * ROOM_SIZE;
-        }
+        this._ambient = new THREE.AmbientLight(0xf2efcf, 0.12); // Type 1
+        group.add(this._ambient);
+        this._scene.add(group);
 
-        // Spawn and room list
-        this._rooms = builtCells.map(r => ({ i: r.i, j: r.j, cx: r.cx, cz: r.cz }));
-        this.spawn = this._rooms.length ? new THREE.Vector3(this._rooms[0].cx, 0, this._rooms[0].cz)
-            : new THREE.Vector3(0, 0, 0);
+        // Spawn in the center of room (0, 0)
+        this.spawn = new THREE.Vector3(0, 0, 0);
+        this._streamAround(this.spawn);
 
-        // Room shells
-        const buildRoomShell = (parent, cx, cz) => {
-            const floor = new THREE.Mesh(GEO_FLOOR, floorMat);
-            floor.rotation.x = -Math.PI / 2;
-            floor.position.set(cx, 0, cz);
-            floor.receiveShadow = true;
-            parent.add(floor); freeze(floor);
+        // Enable initial shadow allocation near spawn
+        this._enableShadowsNear(new THREE.Vector3(this.spawn.x, 0, this.spawn.z));
+    }
 
-            const ceilingTiles = new THREE.Mesh(GEO_CEILING, ceilTileMat);
-            ceilingTiles.rotation.x = Math.PI / 2;
-            ceilingTiles.position.set(cx, ROOM_HEIGHT, cz);
-            parent.add(ceilingTiles); freeze(ceilingTiles);
+    // Chunk streaming
 
-            const ceilingLight = new THREE.Mesh(GEO_LIGHT, ceilLightMat);
-            ceilingLight.rotation.x = Math.PI / 2;
-            ceilingLight.position.set(cx, ROOM_HEIGHT - 0.01, cz);
-            parent.add(ceilingLight); freeze(ceilingLight);
+    _chunkAt(x, z) {
+        const span = this._chunkRooms * ROOM_SIZE;
+        return {
+            ci: Math.floor((x + ROOM_SIZE / 2) / span),
+            cj: Math.floor((z + ROOM_SIZE / 2) / span),
         };
+    }
 
-        const key = (i, j) => `${i},${j}`;
-        const builtSet = new Set(builtCells.map(c => key(c.i, c.j)));
-        const openings = new Map();
-        for (const c of builtCells) openings.set(key(c.i, c.j), { N: false, S: false, E: false, W: false });
-        for (const c of builtCells) {
-            const o = gridOpen[idx(c.i, c.j)];
-            for (const d of dirKeys) {
-                const ni = c.i + DIRS[d].di, nj = c.j + DIRS[d].dj;
-                if (!o[d]) continue;
-                if (!builtSet.has(key(ni, nj))) continue;
-                openings.get(key(c.i, c.j))[d] = true;
-            }
+    // Recenter only once the player is clearly past the current center chunk, so
+    // walking along a chunk border does not thrash loads
+    _streamAround(pos) {
+        const c = this._chunkAt(pos.x, pos.z);
+        if (this._centerChunk) {
+            if (c.ci === this._centerChunk.ci && c.cj === this._centerChunk.cj) return;
+            const span = this._chunkRooms * ROOM_SIZE;
+            const margin = ROOM_SIZE * 0.25;
+            const minX = this._centerChunk.ci * span - ROOM_SIZE / 2 - margin;
+            const minZ = this._centerChunk.cj * span - ROOM_SIZE / 2 - margin;
+            if (pos.x >= minX && pos.x <= minX + span + margin * 2 &&
+                pos.z >= minZ && pos.z <= minZ + span + margin * 2) return;
         }
+        this._centerChunk = c;
 
-        for (const c of builtCells) buildRoomShell(group, c.cx, c.cz);
+        const r = this._viewChunks;
+        const wanted = new Set();
+        for (let dj = -r; dj <= r; dj++) {
+            for (let di = -r; di <= r; di++) wanted.add(chunkKey(c.ci + di, c.cj + dj));
+        }
 
-        // Pillars and colliders
-        const pillarGeo = new THREE.BoxGeometry(PILLAR_SIZE, ROOM_HEIGHT, PILLAR_SIZE);
-        const pillarsPerRoom = 4;
-        const instancedPillars = new THREE.InstancedMesh(pillarGeo, pillarMat, builtCells.length * pillarsPerRoom);
-        instancedPillars.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
-        instancedPillars.castShadow = true;
-        instancedPillars.receiveShadow = true;
-        let pIdx = 0;
-        const m4 = new THREE.Matrix4();
-        for (const c of builtCells) {
-            const px = c.cx + (ROOM_SIZE / 2 - PILLAR_INSET);
-            const nx = c.cx - (ROOM_SIZE / 2 - PILLAR_INSET);
-            const pz = c.cz + (ROOM_SIZE / 2 - PILLAR_INSET);
-            const nz = c.cz - (ROOM_SIZE / 2 - PILLAR_INSET);
-            const y = ROOM_HEIGHT / 2;
-            for (const [x, z] of [[px, pz], [nx, pz], [px, nz], [nx, nz]]) {
-                m4.makeTranslation(x, y, z);
-                instancedPillars.setMatrixAt(pIdx++, m4);
-                const half = PILLAR_SIZE * 0.5;
-                addRectCollider(x - half, x + half, z - half, z + half);
+        let changed = false;
+        for (const key of [...this._chunks.keys()]) {
+            if (wanted.has(key)) continue;
+            this._unloadChunk(key);
+            changed = true;
+        }
+        for (let dj = -r; dj <= r; dj++) {
+            for (let di = -r; di <= r; di++) {
+                const key = chunkKey(c.ci + di, c.cj + dj);
+                if (this._chunks.has(key)) continue;
+                this._loadChunk(c.ci + di, c.cj + dj);
+                changed = true;
             }
         }
-        instancedPillars.instanceMatrix.needsUpdate = true;
-        group.add(instancedPillars);
+        if (changed) this._onLayoutChanged();
+    }
 
-        const hasNeighbor = (i, j) => builtSet.has(key(i, j));
+    _loadChunk(ci, cj) {
+        const layout = generateChunk(this._seed, ci, cj, this._chunkRooms);
+        const { floorMat, wallMat, ceilTileMat, ceilLightMat, pillarMat } = this._mats;
 
-        // Walls with or without doors
-        for (const c of builtCells) {
-            const o = openings.get(key(c.i, c.j));
+        const group = new THREE.Group();
+        const chunk = { key: layout.key, ci, cj, group, rooms: [], colliders: [], disposables: [] };
 
-            {
-                const wallZ = c.cz + ROOM_SIZE / 2;
-                if (o.N) {
-                    addWallWithDoor(group, true, new THREE.Vector3(c.cx, 0, wallZ), wallMat);
-                } else {
-                    const center = new THREE.Vector3(c.cx, ROOM_HEIGHT / 2, wallZ);
-                    const north = createWallXZ(ROOM_SIZE, ROOM_HEIGHT, WALL_THICK, wallMat, center, true);
-                    group.add(north); freeze(north);
-                }
-            }
+        const addRectCollider = (minX, maxX, minZ, maxZ) => {
+            const rect = { minX, maxX, minZ, maxZ, chunk: chunk.key };
+            chunk.colliders.push(rect);
+            this._colliders.push(rect);
+            this._colliderIndex.insert(rect);
+        };
 
-            {
-                const wallX = c.cx - ROOM_SIZE / 2;
-                const open = hasNeighbor(c.i - 1, c.j) ? o.W : false;
-                if (open) {
-                    addWallWithDoor(group, false, new THREE.Vector3(wallX, 0, c.cz), wallMat);
-                } else {
-                    const center = new THREE.Vector3(wallX, ROOM_HEIGHT / 2, c.cz);
-                    const west = createWallXZ(WALL_THICK, ROOM_HEIGHT, ROOM_SIZE, wallMat, center, true);
-                    group.add(west); freeze(west);
-                }
+        const freeze = (mesh) => {
+            mesh.matrixAutoUpdate = false;
+            mesh.updateMatrix();
+        };
+
+        // Static geometry is merged per chunk and material
+        const wallGeo = new THREE.Geometry();
+        const floorGeo = new THREE.Geometry();
+        const ceilGeo = new THREE.Geometry();
+        const m4 = new THREE.Matrix4();
+        const rot = new THREE.Matrix4();
+
+        const addBox = (sizeX, height, sizeZ, center, registerCollider = true) => {
+            m4.makeTranslation(center.x, center.y, center.z);
+            wallGeo.merge(new THREE.BoxGeometry(sizeX, height, sizeZ), m4);
+            if (registerCollider) {
+                const cx = center.x, cz = center.z;
+                addRectCollider(cx - sizeX * 0.5, cx + sizeX * 0.5, cz - sizeZ * 0.5, cz + sizeZ * 0.5);
             }
-        }
+        };
 
-        // Close south and east boundaries
-        for (const c of builtCells) {
-            if (!hasNeighbor(c.i, c.j - 1)) {
-                const wallZ = c.cz - ROOM_SIZE / 2;
-                const center = new THREE.Vector3(c.cx, ROOM_HEIGHT / 2, wallZ);
-                const south = createWallXZ(ROOM_SIZE, ROOM_HEIGHT, WALL_THICK, wallMat, center, true);
-                group.add(south); freeze(south);
+        // Every room owns half the thickness of each of its four walls, so a chunk
+        // stays closed on its own and shared walls meet in the middle
+        const half = ROOM_SIZE / 2;
+        const slab = WALL_THICK / 2;
+        const yCenter = ROOM_HEIGHT / 2;
+        const sideLen = (ROOM_SIZE - DOOR_WIDTH) / 2;
+        const lintelH = ROOM_HEIGHT - DOOR_HEIGHT;
+
+        const addSide = (cx, cz, dir, hasDoor) => {
+            const d = DIRS[dir];
+            const alongX = d.dj !== 0; // N/S walls run along X
+            const wx = cx + d.di * (half - slab / 2);
+            const wz = cz + d.dj * (half - slab / 2);
+            const sx = (len) => alongX ? len : slab;
+            const sz = (len) => alongX ? slab : len;
+
+            if (!hasDoor) {
+                addBox(sx(ROOM_SIZE), ROOM_HEIGHT, sz(ROOM_SIZE), new THREE.Vector3(wx, yCenter, wz));
+                return;
             }
-            if (!hasNeighbor(c.i + 1, c.j)) {
-                const wallX = c.cx + ROOM_SIZE / 2;
-                const center = new THREE.Vector3(wallX, ROOM_HEIGHT / 2, c.cz);
-                const east = createWallXZ(WALL_THICK, ROOM_HEIGHT, ROOM_SIZE, wallMat, center, true);
-                group.add(east); freeze(east);
+            const off = half - sideLen / 2;
+            for (const s of [-1, 1]) {
+                const c = alongX
+                    ? new THREE.Vector3(wx + s * off, yCenter, wz)
+                    : new THREE.Vector3(wx, yCenter, wz + s * off);
+                addBox(sx(sideLen), ROOM_HEIGHT, sz(sideLen), c);
             }
-        }
+            addBox(sx(DOOR_WIDTH), lintelH, sz(DOOR_WIDTH), new THREE.Vector3(wx, DOOR_HEIGHT + lintelH / 2, wz), false);
+        };
 
-        // Index and graph
-        this._roomIndexByKey.clear();
-        for (let idxR = 0; idxR < this._rooms.length; idxR++) {
-            const r = this._rooms[idxR];
-            this._roomIndexByKey.set(`${r.i},${r.j}`, idxR);
-        }
-        this._graph.clear();
-        for (let idxR = 0; idxR < this._rooms.length; idxR++) {
-            const r = this._rooms[idxR];
-            const o = openings.get(`${r.i},${r.j}`);
-            const neighbors = [];
-            if (o.N) { const k = `${r.i},${r.j + 1}`; if (this._roomIndexByKey.has(k)) neighbors.push(this._roomIndexByKey.get(k)); }
-            if (o.S) { const k = `${r.i},${r.j - 1}`; if (this._roomIndexByKey.has(k)) neighbors.push(this._roomIndexByKey.get(k)); }
-            if (o.E) { const k = `${r.i + 1},${r.j}`; if (this._roomIndexByKey.has(k)) neighbors.push(this._roomIndexByKey.get(k)); }
-            if (o.W) { const k = `${r.i - 1},${r.j}`; if (this._roomIndexByKey.has(k)) neighbors.push(this._roomIndexByKey.get(k)); }
-            this._graph.set(idxR, neighbors);
-        }
-        this._spawnIndex = this._roomIndexByKey.get(`${this._rooms[0].i},${this._rooms[0].j}`) ?? 0;
-
-        // Lights
-        this._ambient = new THREE.AmbientLight(0xf2efcf, 0.12); // Type 1
-        group.add(this._ambient);
+        const pillars = new THREE.InstancedMesh(this._geos.pillar, pillarMat, layout.rooms.length * 4);
+        pillars.castShadow = true;
+        pillars.receiveShadow = true;
+        let pIdx = 0;
 
-        // Per room ceiling SpotLight. Shadows off by default
-        for (const r of this._rooms) {
-            const spot = new THREE.SpotLight(0xfff6d0, 0.9, 420, Math.PI / 3.2, 0.5, 1.2); // Type 2
-            spot.position.set(r.cx, ROOM_HEIGHT - 4, r.cz);
-            spot.target.position.set(r.cx, 0, r.cz);
+        for (const lr of layout.rooms) {
+            const cx = lr.i * ROOM_SIZE, cz = lr.j * ROOM_SIZE;
+            const room = { i: lr.i, j: lr.j, cx, cz, key: lr.key, chunk: chunk.key, open: { ...lr.open } };
+
+            // Floor and ceiling
+            rot.makeRotationX(-Math.PI / 2);
+            m4.makeTranslation(cx, 0, cz).multiply(rot);
+            floorGeo.merge(this._geos.floor, m4);
+            rot.makeRotationX(Math.PI / 2);
+            m4.makeTranslation(cx, ROOM_HEIGHT, cz).multiply(rot);
+            ceilGeo.merge(this._geos.floor, m4);
+
+            // Each panel has its own material so it can dim with its room
+            const panelMat = ceilLightMat.clone();
+            chunk.disposables.push(panelMat);
+            const ceilingLight = new THREE.Mesh(this._geos.light, panelMat);
+            ceilingLight.rotation.x = Math.PI / 2;
+            ceilingLight.position.set(cx, ROOM_HEIGHT - 0.01, cz);
+            group.add(ceilingLight); freeze(ceilingLight);
+            room.panel = ceilingLight;
+            room.panelMat = panelMat;
+
+            // Walls
+            for (const dir of DIR_KEYS) addSide(cx, cz, dir, lr.open[dir]);
+
+            // Pillars
+            const inset = ROOM_SIZE / 2 - PILLAR_INSET;
+            for (const [x, z] of [[cx + inset, cz + inset], [cx - inset, cz + inset], [cx + inset, cz - inset], [cx - inset, cz - inset]]) {
+                m4.makeTranslation(x, ROOM_HEIGHT / 2, z);
+                pillars.setMatrixAt(pIdx++, m4);
+                const ph = PILLAR_SIZE * 0.5;
+                addRectCollider(x - ph, x + ph, z - ph, z + ph);
+            }
+
+            // Ceiling SpotLight. Shadows off by default
+            const spot = new THREE.SpotLight(0xfff6d0, SPOT_INTENSITY, 420, Math.PI / 3.2, 0.5, 1.2); // Type 2
+            spot.position.set(cx, ROOM_HEIGHT - 4, cz);
+            spot.target.position.set(cx, 0, cz);
             spot.castShadow = false;
             spot.shadow.mapSize.set(1024, 1024);
             spot.shadow.camera.near = 1;
@@ -365,46 +352,178 @@ class Terrain {
             spot.shadow.bias = -0.00012;
             group.add(spot);
             group.add(spot.target);
-            this._roomLights.push(spot);
-        }
+            room.spot = spot;
 
-        // PointLight accents at room centers
-        for (const r of this._rooms) {
-            const pl = new THREE.PointLight(0xffeaa0, 0.32, 360, 2.0);
-            pl.position.set(r.cx, ROOM_HEIGHT * 0.5, r.cz);
+            // PointLight accent at the room center
+            const pl = new THREE.PointLight(0xffeaa0, ACCENT_INTENSITY, 360, 2.0); // Type 3
+            pl.position.set(cx, ROOM_HEIGHT * 0.5, cz);
             pl.castShadow = false;
             group.add(pl);
-            this._accentLights.push(pl);
+            room.accent = pl;
+            this._applyRoomLight(room);
+
+            this._placePickups(room, group);
+
+            chunk.rooms.push(room);
+        }
+        pillars.instanceMatrix.needsUpdate = true;
+        group.add(pillars);
+        chunk.disposables.push(pillars);
+
+        for (const spec of layout.doors) this._addDoor(chunk, spec);
+        // A lock's key lies in front of it, and something worth the key behind it
+        for (const lock of layout.locks) {
+            const rng = new SeededRandom(this._seed).fork(`lock:${lock.door}`);
+            const keyRoom = chunk.rooms.find(r => r.key === lock.keyRoom);
+            const behind = chunk.rooms.find(r => r.key === lock.behind[0]);
+            const jx = rng.range(-PICKUP_JITTER, PICKUP_JITTER), jz = rng.range(-PICKUP_JITTER, PICKUP_JITTER);
+            this._addPickup(`key:${lock.door}`, 'key', keyRoom, group, keyRoom.cx + jx, keyRoom.cz + jz);
+            this._addPickup(`reward:${lock.door}`, rng.pick(LOCK_REWARDS), behind, group, behind.cx, behind.cz);
         }
 
+        const addMerged = (geo, mat, cast) => {
+            const buf = new THREE.BufferGeometry().fromGeometry(geo);
+            geo.dispose();
+            const mesh = new THREE.Mesh(buf, mat);
+            mesh.castShadow = cast;
+            mesh.receiveShadow = true;
+            group.add(mesh); freeze(mesh);
+            chunk.disposables.push(buf);
+        };
+        addMerged(floorGeo, floorMat, false);
+        addMerged(ceilGeo, ceilTileMat, false);
+        addMerged(wallGeo, wallMat, true);
 
-        this._group = group;
-        this._scene.add(this._group);
+        this._group.add(group);
+        this._chunks.set(chunk.key, chunk);
+
+        // Graph: add rooms, then link doors to loaded neighbors on both sides
+        for (const room of chunk.rooms) {
+            this._roomsByKey.set(room.key, room);
+            this._graph.set(room.key, []);
+        }
+        for (const room of chunk.rooms) {
+            for (const dir of DIR_KEYS) {
+                if (!room.open[dir]) continue;
+                const nk = roomKey(room.i + DIRS[dir].di, room.j + DIRS[dir].dj);
+                const other = this._roomsByKey.get(nk);
+                if (!other || !other.open[DIRS[dir].opposite]) continue;
+                const mine = this._graph.get(room.key);
+                const theirs = this._graph.get(nk);
+                if (!mine.includes(nk)) mine.push(nk);
+                if (!theirs.includes(room.key)) theirs.push(room.key);
+            }
+        }
+    }
+
+    _unloadChunk(key) {
+        const chunk = this._chunks.get(key);
+        if (!chunk) return;
+
+        for (const room of chunk.rooms) {
+            for (const nk of this._graph.get(room.key) || []) {
+                const nbrs = this._graph.get(nk);
+                if (!nbrs) continue;
+                const k = nbrs.indexOf(room.key);
+                if (k >= 0) nbrs.splice(k, 1);
+            }
+            this._graph.delete(room.key);
+            this._roomsByKey.delete(room.key);
+            room.spot.shadow.map?.dispose?.();
+        }
+        for (const [id, pickup] of this._pickups) {
+            if (pickup.chunk === key) this._pickups.delete(id);
+        }
+        for (const [id, door] of this._doors) {
+            if (door.chunk !== key) continue;
+            this._setDoorBlocking(door, false);
+            this._doors.delete(id);
+        }
+
+        // Colliders are shared by reference with the controllers, so edit in place
+        let w = 0;
+        for (let r = 0; r < this._colliders.length; r++) {
+            const c = this._colliders[r];
+            if (c.chunk !== key) this._colliders[w++] = c;
+        }
+        this._colliders.length = w;
+        for (const c of chunk.colliders) this._colliderIndex.remove(c);
+
+        for (const d of chunk.disposables) d.dispose?.();
+        this._group.remove(chunk.group);
+        this._chunks.delete(key);
+    }
+
+    // Rebuild the derived index-based views after rooms loaded or unloaded
+    _onLayoutChanged() {
+        this._rooms = [...this._roomsByKey.values()];
+        this._roomIndexByKey.clear();
+        for (let k = 0; k < this._rooms.length; k++) this._roomIndexByKey.set(this._rooms[k].key, k);
+        this._roomLights = this._rooms.map(r => r.spot);
+        this._accentLights = this._rooms.map(r => r.accent);
+        this._spawnIndex = this._roomIndexByKey.get(roomKey(0, 0)) ?? 0;
 
-        this._roomBounds = (() => {
         let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
         for (const r of this._rooms) {
-            minX = Math.min(minX, r.cx - this._roomSize * 0.5);
-            maxX = Math.max(maxX, r.cx + this._roomSize * 0.5);
-            minZ = Math.min(minZ, r.cz - this._roomSize * 0.5);
-            maxZ = Math.max(maxZ, r.cz + this._roomSize * 0.5);
+            minX = Math.min(minX, r.cx - ROOM_SIZE * 0.5);
+            maxX = Math.max(maxX, r.cx + ROOM_SIZE * 0.5);
+            minZ = Math.min(minZ, r.cz - ROOM_SIZE * 0.5);
+            maxZ = Math.max(maxZ, r.cz + ROOM_SIZE * 0.5);
         }
-        return {minX, maxX, minZ, maxZ};
-        })();
+        this._roomBounds = { minX, maxX, minZ, maxZ };
 
-        // Enable initial shadow allocation near spawn
-        this._enableShadowsNear(new THREE.Vector3(this.spawn.x, 0, this.spawn.z));
+        // Shadow rooms may have been unloaded
+        this._lastShadowRooms = null;
+        this._revision++;
     }
 
     getMesh() { return this._group; }
+    getSeed() { return this._seed; }
     getFirstRoomCenter() { return this.spawn ? this.spawn.clone() : new THREE.Vector3(0, 0, 0); }
     getRoomCenters() { return this._rooms.map(r => ({ cx: r.cx, cz: r.cz })); }
     getColliders() { return this._colliders; }
+    // Colliders near an XZ box. Superset of the overlapping ones, much smaller than getColliders()
+    queryColliders(minX, maxX, minZ, maxZ, out = []) { return this._colliderIndex.query(minX, maxX, minZ, maxZ, out); }
     getRoomSize() { return this._roomSize ?? 300; }
-    getRoomsFull() { return this._rooms.map(r => ({...r})); } // i, j, cx, cz
+    getCeilingHeight() { return ROOM_HEIGHT; }
+    getRoomsFull() { return this._rooms.map(r => ({ i: r.i, j: r.j, cx: r.cx, cz: r.cz, key: r.key })); }
     getBounds() { return {...this._roomBounds}; }
+    getRevision() { return this._revision; }
+    hasRoomAt(x, z) { return this._roomsByKey.has(roomKey(Math.round(x / ROOM_SIZE), Math.round(z / ROOM_SIZE))); }
     getPortalPosition() { return this._portal ? this._portal.position.clone() : null; }
+
+    // Brightness of a room's ceiling light this frame, about 0.8..1.1 lit and 0 dark
+    getLightLevel(key) { return this._roomsByKey.has(key) ? this._lights.levelOf(key) : 0; }
+
+    // 'normal', 'flickering', 'failing' or 'dark'
+    getLightState(key) { return this._lights.stateOf(key); }
+
+    setLightState(key, state) {
+        this._lights.setState(key, state);
+        const room = this._roomsByKey.get(key);
+        if (room) this._applyRoomLight(room);
+    }
+
+    // How well lit a point is, 0 in a dark room to 1 under a working light
+    getVisibilityAt(x, z) {
+        if (!this._rooms.length) return 1;
+        return Math.min(1, this._lights.levelOf(this._rooms[this._nearestRoomIndexTo(x, z)].key));
+    }
+
+    // The count loaded ceiling lights nearest to (x, z), nearest first: [{key, x, y, z}]
+    getCeilingLightsNear(x, z, count) {
+        return this._rooms
+            .map(r => ({ r, d: (r.cx - x) * (r.cx - x) + (r.cz - z) * (r.cz - z) }))
+            .sort((a, b) => a.d - b.d)
+            .slice(0, count)
+            .map(({ r }) => ({ key: r.key, x: r.cx, y: ROOM_HEIGHT, z: r.cz }));
+    }
     didShadowSetChange() { return this._shadowSetChanged; }
+    // Lights allowed to cast shadows at once. Takes effect on the next Update
+    setShadowBudget(n) {
+        this._shadowBudget = Math.max(2, n | 0);
+        this._lastShadowRooms = null;
+    }
     clearShadowSetChanged() { this._shadowSetChanged = false; }
 
     enableShadows(renderer) {
@@ -418,18 +537,43 @@ class Terrain {
         this._lightingFollowGetter = typeof objOrGetter === 'function' ? objOrGetter : () => objOrGetter || null;
     }
 
+    // Room index containing (or nearest to) a world position
+    getRoomIndexAt(x, z) { return this._nearestRoomIndexTo(x, z); }
+
+    getRoomKeyAt(x, z) { return this._rooms.length ? this._rooms[this._nearestRoomIndexTo(x, z)].key : null; }
+
+    // Rooms joined by a door to the room at (x, z)
+    getRoomNeighbors(x, z) {
+        if (!this._rooms.length) return [];
+        const room = this._rooms[this._nearestRoomIndexTo(x, z)];
+        const out = [];
+        for (const k of this._neighbors(room.key, WALKER_BLOCKED)) {
+            const r = this._roomsByKey.get(k);
+            if (r) out.push({ key: r.key, cx: r.cx, cz: r.cz });
+        }
+        return out;
+    }
+
+    // Door steps from the room at pos to every room, indexed like getRoomsFull()
+    getRoomStepsFrom(pos) {
+        if (!pos || !this._rooms.length) return [];
+        return this._bfsDistancesFrom(this._nearestRoomIndexTo(pos.x, pos.z));
+    }
+
     _bfsDistancesFrom(startIndex) {
         const dist = new Array(this._rooms.length).fill(Infinity);
+        const start = this._rooms[startIndex];
+        if (!start) return dist;
         const q = [];
         dist[startIndex] = 0;
-        q.push(startIndex);
+        q.push(start.key);
         while (q.length) {
             const u = q.shift();
-            const nd = dist[u] + 1;
-            const nbrs = this._graph.get(u) || [];
-            for (const v of nbrs) {
-                if (dist[v] === Infinity) {
-                    dist[v] = nd;
+            const nd = dist[this._roomIndexByKey.get(u)] + 1;
+            for (const v of this._neighbors(u, PLAYER_BLOCKED)) {
+                const vi = this._roomIndexByKey.get(v);
+                if (dist[vi] === Infinity) {
+                    dist[vi] = nd;
                     q.push(v);
                 }
             }
@@ -437,8 +581,17 @@ class Terrain {
         return dist;
     }
 
+    // Rooms joined to u by a doorway, leaving out those behind a door whose state is in blocked
+    _neighbors(u, blocked) {
+        return openNeighbors(this._roomsByKey, this._graph, this._doors, u, blocked);
+    }
+
     _nearestRoomIndexTo(x, z) {
         if (!this._rooms.length) return 0;
+        // Rooms sit on a regular grid, so the common case is a direct lookup
+        const direct = this._roomIndexByKey.get(roomKey(Math.round(x / ROOM_SIZE), Math.round(z / ROOM_SIZE)));
+        if (direct !== undefined) return direct;
+
         let best = 0;
         let bestD = Infinity;
         for (let i = 0; i < this._rooms.length; i++) {
@@ -454,23 +607,25 @@ class Terrain {
     _enableShadowsNear(worldPos) {
         if (!this._roomLights.length) return;
 
-        // pick nearest rooms
+        // pick nearest rooms with a working light
         const pairs = [];
         for (let i = 0; i < this._rooms.length; i++) {
             const r = this._rooms[i];
+            if (this._lights.stateOf(r.key) === 'dark') continue;
             const dx = worldPos.x - r.cx;
             const dz = worldPos.z - r.cz;
             pairs.push([dx*dx + dz*dz, i]);
         }
         pairs.sort((a,b) => a[0]-b[0]);
 
-        const count = Math.min(this._shadowBudget, this._roomLights.length);
+        const playerLit = !!this._playerLightActive && this._playerLightActive();
+        const count = Math.min(this._shadowBudget - (playerLit ? 1 : 0), pairs.length);
         const newSet = new Set();
         for (let k = 0; k < count; k++) newSet.add(pairs[k][1]);
 
         // compare with previous allocation
         let changed = false;
-        if (!this._lastShadowRooms || this._lastShadowRooms.size !== newSet.size) {
+        if (!this._lastShadowRooms || this._lastShadowRooms.size !== newSet.size || playerLit !== this._lastPlayerLit) {
             changed = true;
         } else {
             for (const i of newSet) if (!this._lastShadowRooms.has(i)) { changed = true; break; }
@@ -481,6 +636,8 @@ class Terrain {
             for (const s of this._roomLights) s.castShadow = false;
             // enable only nearest
             for (const i of newSet) this._roomLights[i].castShadow = true;
+            if (this._playerLight) this._playerLight.castShadow = playerLit;
+            this._lastPlayerLit = playerLit;
 
             this._lastShadowRooms = newSet;
             this._shadowSetChanged = true; // tell renderer to refresh shadow maps
@@ -495,7 +652,8 @@ class Terrain {
         let farIdx = 0;
         let farDist = -1;
         for (let i = 0; i < dist.length; i++) {
-            if (dist[i] > farDist) { farDist = dist[i]; farIdx = i; }
+            // Rooms behind a locked door are unreachable, not far
+            if (Number.isFinite(dist[i]) && dist[i] > farDist) { farDist = dist[i]; farIdx = i; }
         }
         const r = this._rooms[farIdx];
         return new THREE.Vector3(r.cx, 0, r.cz);
@@ -604,6 +762,7 @@ class Terrain {
 
         for (let i = 0; i < dist.length; i++) {
             const d = dist[i];
+            if (!Number.isFinite(d)) continue;
             if (d === steps) exact.push(i);
             else if (d > steps) greater.push(i);
             if (d > farthestDist) { farthestDist = d; farthestIdx = i; }
@@ -611,9 +770,9 @@ class Terrain {
 
         let pickIndex = null;
         if (exact.length) {
-            pickIndex = exact[(Math.random() * exact.length) | 0];
+            pickIndex = this._roomRng.pick(exact);
         } else if (greater.length) {
-            pickIndex = greater[(Math.random() * greater.length) | 0];
+            pickIndex = this._roomRng.pick(greater);
         } else {
             pickIndex = farthestIdx;
         }
@@ -630,18 +789,232 @@ class Terrain {
         let farthestIdx = 0;
         let farthestDist = -1;
         for (let i = 0; i < dist.length; i++) {
+            if (!Number.isFinite(dist[i])) continue;
             if (dist[i] >= minSteps) cand.push(i);
             if (dist[i] > farthestDist) { farthestDist = dist[i]; farthestIdx = i; }
         }
-        const pickIndex = cand.length ? cand[(Math.random() * cand.length) | 0] : farthestIdx;
+        const pickIndex = cand.length ? this._roomRng.pick(cand) : farthestIdx;
         const r = this._rooms[pickIndex];
         return new THREE.Vector3(r.cx, 0, r.cz);
     }
 
+    /**
+     * World-space waypoints from one position to another through the room graph.
+     * Door approach points come first, the destination itself last.
+     * Same room gives [toPos]; unreachable gives []. Closed doors count as walls
+     * unless opts.throughClosed
+     */
+    findPath(fromPos, toPos, opts = {}) {
+        if (!fromPos || !toPos || !this._rooms.length) return [];
+        const start = this._rooms[this._nearestRoomIndexTo(fromPos.x, fromPos.z)];
+        const goal = this._rooms[this._nearestRoomIndexTo(toPos.x, toPos.z)];
+        const path = findRoomPath(this._roomsByKey, this._graph, this._doors, start.key, goal.key, toPos, {
+            blocked: opts.throughClosed ? PLAYER_BLOCKED : WALKER_BLOCKED,
+            approach: opts.approach ?? 30,
+        });
+        if (!path) return [];
+
+        const y = toPos.y ?? 0;
+        return path.map(p => new THREE.Vector3(p.x, y, p.z));
+    }
+
+    // Seeded per room, so an item is always in the same place until it is taken.
+    // Each type rolls its own chance and takes a free spot
+    _placePickups(room, group) {
+        const rng = new SeededRandom(this._seed).fork(`pickups:${room.key}`);
+        const spots = rng.shuffle(PICKUP_SPOTS.slice());
+        for (const [type, def] of Object.entries(ITEM_TYPES)) {
+            // Roll every type, so adding one later does not move the others
+            const roll = rng.next();
+            const jx = rng.range(-PICKUP_JITTER, PICKUP_JITTER), jz = rng.range(-PICKUP_JITTER, PICKUP_JITTER);
+            if (roll >= def.chance || !spots.length) continue;
+            const [ox, oz] = spots.pop();
+            this._addPickup(`${room.key}:${type}`, type, room, group, room.cx + ox + jx, room.cz + oz + jz);
+        }
+    }
+
+    _addPickup(id, type, room, group, x, z) {
+        if (this._collected.has(id) || this._pickups.has(id)) return;
+        const def = ITEM_TYPES[type];
+        const mesh = new THREE.Mesh(this._geos[`item:${type}`], this._mats[`item:${type}`]);
+        mesh.position.set(x, def.mesh.lying ? def.mesh.radius * 2 : def.mesh.height * 0.5 + 1, z);
+        if (def.mesh.lying) mesh.rotation.z = Math.PI / 2;
+        mesh.castShadow = true;
+        group.add(mesh);
+        this._pickups.set(id, { id, type, room: room.key, chunk: room.chunk, mesh });
+    }
+
+    // Pickups in loaded rooms: [{id, type, x, z}]
+    getPickups() {
+        return [...this._pickups.values()].map(p => ({ id: p.id, type: p.type, x: p.mesh.position.x, z: p.mesh.position.z }));
+    }
+
+    // Closest pickup within radius of (x, z) as {id, type, x, z}, or null
+    nearestPickup(x, z, radius) {
+        let best = null, bestD = radius * radius;
+        for (const p of this._pickups.values()) {
+            const dx = p.mesh.position.x - x, dz = p.mesh.position.z - z;
+            const d = dx * dx + dz * dz;
+            if (d <= bestD) { bestD = d; best = p; }
+        }
+        return best ? { id: best.id, type: best.type, x: best.mesh.position.x, z: best.mesh.position.z } : null;
+    }
+
+    // Take a pickup out of the world for good. Its type, or null when it is not there
+    takePickup(id) {
+        const p = this._pickups.get(id);
+        if (!p) return null;
+        p.mesh.parent?.remove(p.mesh);
+        this._pickups.delete(id);
+        this._collected.add(id);
+        return p.type;
+    }
+
+    // Hang a door in the doorway named by spec.key, in the state it was last left in
+    _addDoor(chunk, spec) {
+        const [room, side] = spec.key.split(':');
+        const [i, j] = room.split(',').map(Number);
+        const alongX = side === 'N';
+        const x = i * ROOM_SIZE + (alongX ? 0 : ROOM_SIZE / 2);
+        const z = j * ROOM_SIZE + (alongX ? ROOM_SIZE / 2 : 0);
+        const saved = this._doorStates.get(spec.key);
+
+        // Hinged at the west or south end of the doorway; the panel runs along local +X
+        const pivot = new THREE.Group();
+        pivot.position.set(alongX ? x - DOOR_WIDTH / 2 : x, 0, alongX ? z : z - DOOR_WIDTH / 2);
+        const panel = new THREE.Mesh(this._geos.door, this._mats.door);
+        panel.position.set(DOOR_WIDTH / 2, DOOR_HEIGHT / 2, 0);
+        panel.castShadow = true;
+        panel.receiveShadow = true;
+        pivot.add(panel);
+        const lock = new THREE.Mesh(this._geos.doorLock, this._mats.doorLock);
+        lock.position.set(DOOR_WIDTH - 10, DOOR_HEIGHT * 0.45, 0);
+        pivot.add(lock);
+        chunk.group.add(pivot);
+
+        const h = DOOR_WIDTH / 2, t = DOOR_THICK / 2;
+        const collider = alongX
+            ? { minX: x - h, maxX: x + h, minZ: z - t, maxZ: z + t, chunk: chunk.key }
+            : { minX: x - t, maxX: x + t, minZ: z - h, maxZ: z + h, chunk: chunk.key };
+        const door = {
+            key: spec.key, state: saved?.state ?? spec.state, chunk: chunk.key, x, z, alongX,
+            pivot, lock, swing: saved?.swing ?? 1, angle: 0, collider, blocking: false,
+        };
+        door.angle = door.state === 'open' ? door.swing * Math.PI / 2 : 0;
+        this._doors.set(door.key, door);
+        this._applyDoor(door);
+    }
+
+    // Collider and lock follow the state; the panel swings there in Update
+    _applyDoor(door) {
+        this._setDoorBlocking(door, door.state !== 'open');
+        door.lock.visible = door.state === 'locked';
+        door.pivot.rotation.y = (door.alongX ? 0 : -Math.PI / 2) + door.angle;
+    }
+
+    // Colliders are shared by reference with the controllers, so edit in place
+    _setDoorBlocking(door, blocking) {
+        if (door.blocking === blocking) return;
+        door.blocking = blocking;
+        if (blocking) {
+            this._colliders.push(door.collider);
+            this._colliderIndex.insert(door.collider);
+        } else {
+            const k = this._colliders.indexOf(door.collider);
+            if (k >= 0) this._colliders.splice(k, 1);
+            this._colliderIndex.remove(door.collider);
+        }
+    }
+
+    // Doors in loaded rooms: [{key, state, x, z, alongX}]
+    getDoors() {
+        return [...this._doors.values()].map(d => ({ key: d.key, state: d.state, x: d.x, z: d.z, alongX: d.alongX }));
+    }
+
+    // Closest door within radius of (x, z) as {key, state, x, z}, or null
+    nearestDoor(x, z, radius) {
+        let best = null, bestD = radius * radius;
+        for (const d of this._doors.values()) {
+            const dx = d.x - x, dz = d.z - z;
+            const d2 = dx * dx + dz * dz;
+            if (d2 <= bestD) { bestD = d2; best = d; }
+        }
+        return best ? { key: best.key, state: best.state, x: best.x, z: best.z } : null;
+    }
+
+    // 'open', 'closed' or 'locked'; null for a plain doorway or a door that is not loaded
+    getDoorState(key) { return this._doors.get(key)?.state ?? null; }
+
+    /**
+     * Open, close or lock a loaded door. False when it cannot: an unknown door, or
+     * shutting it on someone standing in the doorway
+     * @param {{x: number, z: number, radius?: number}} [by] who is at the door. It opens away from them
+     */
+    setDoorState(key, state, by = null) {
+        const door = this._doors.get(key);
+        if (!door || !['open', 'closed', 'locked'].includes(state)) return false;
+        if (by && state !== 'open') {
+            const r = by.radius ?? 0, c = door.collider;
+            if (by.x > c.minX - r && by.x < c.maxX + r && by.z > c.minZ - r && by.z < c.maxZ + r) return false;
+        }
+        if (by && state === 'open' && door.state !== 'open') {
+            door.swing = (door.alongX ? by.z > door.z : by.x < door.x) ? 1 : -1;
+        }
+        door.state = state;
+        this._doorStates.set(key, { state, swing: door.swing });
+        this._applyDoor(door);
+        return true;
+    }
+
+    /**
+     * Let the player's light take part in the shadow budget. While isActive() it gets the
+     * first shadow map and rooms share the rest
+     * @param {THREE.Light|null} light
+     * @param {() => boolean} isActive
+     */
+    setPlayerLight(light, isActive) {
+        this._playerLight = light;
+        this._playerLightActive = light && typeof isActive === 'function' ? isActive : null;
+        this._lastShadowRooms = null;
+    }
+
+    // Spot, accent and panel of one room follow its light level together
+    _applyRoomLight(room) {
+        const level = this._lights.levelOf(room.key);
+        room.spot.intensity = SPOT_INTENSITY * level;
+        room.accent.intensity = ACCENT_INTENSITY * level;
+        room.panelMat.color.setScalar(Math.max(DARK_PANEL, level));
+    }
+
+    _updateLights(t) {
+        const follow = this._lightingFollowGetter ? this._lightingFollowGetter() : null;
+        const keys = this._rooms.map(r => r.key);
+        let failKeys = keys;
+        if (follow && follow.position) {
+            const p = follow.position;
+            failKeys = this._rooms
+                .map(r => ({ key: r.key, d: (r.cx - p.x) * (r.cx - p.x) + (r.cz - p.z) * (r.cz - p.z) }))
+                .sort((a, b) => a.d - b.d)
+                .slice(0, FAIL_NEAREST)
+                .map(e => e.key);
+        }
+        this._lights.update(t, keys, failKeys);
+        for (const room of this._rooms) this._applyRoomLight(room);
+    }
+
     Update(t) {
-        if (this._ceilLightMat) {
-            const f = 0.92 + 0.04 * Math.sin(t * 3.2) + 0.02 * Math.sin(t * 17.0) + 0.01 * Math.sin(t * 27.7);
-            this._ceilLightMat.color.setScalar(Math.max(0.8, Math.min(1.1, f)));
+        this._updateLights(t);
+
+        // Pickups turn slowly so they catch the eye
+        this._pickupTime += t;
+        for (const p of this._pickups.values()) p.mesh.rotation.y = this._pickupTime * 1.5;
+
+        for (const door of this._doors.values()) {
+            const target = door.state === 'open' ? door.swing * Math.PI / 2 : 0;
+            if (door.angle === target) continue;
+            const step = DOOR_SWING_SPEED * t;
+            door.angle = Math.abs(target - door.angle) <= step ? target : door.angle + Math.sign(target - door.angle) * step;
+            door.pivot.rotation.y = (door.alongX ? 0 : -Math.PI / 2) + door.angle;
         }
 
         if (this._portal) {
@@ -655,15 +1028,42 @@ class Terrain {
             }
         }
 
+        // The followed object also drives chunk streaming
         if (this._lightingFollowGetter) {
             const obj = this._lightingFollowGetter();
             if (obj && obj.position) {
+                this._streamAround(obj.position);
                 this._enableShadowsNear(obj.position);
             }
         }
     }
 
     getHeightAt(x, z) { return 0; }
+
+    // Remove everything this terrain added to the scene. Cached textures are left to the AssetCache
+    dispose() {
+        for (const key of [...this._chunks.keys()]) this._unloadChunk(key);
+        this._onLayoutChanged();
+
+        if (this._portal) this._portal.geometry?.dispose?.();
+        this._portalMat?.dispose?.();
+        this._portal = null;
+        this._portalLight = null;
+        this._portalMat = null;
+
+        for (const m of Object.values(this._mats || {})) m.dispose();
+        for (const g of Object.values(this._geos || {})) g.dispose();
+        this._mats = null;
+        this._geos = null;
+
+        if (this._group) this._scene.remove(this._group);
+        this._group = null;
+        this._lightingFollowGetter = null;
+        this._pickups.clear();
+        this._doorStates.clear();
+        this._playerLight = null;
+        this._playerLightActive = null;
+    }
 }
 
 export { Terrain };
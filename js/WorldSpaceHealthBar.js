@@ -3,11 +3,14 @@ import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.118/build/three.mod
 
 /** World-space HP bar projected to screen */
 export class WorldSpaceHealthBar {
+    // trackedObject: Object3D or () => Object3D, for targets that load asynchronously
     constructor(renderer, camera, trackedObject, opts = {}) {
         this._r = renderer;
         this._cam = camera;
-        this._obj = trackedObject;
+        this._getObj = typeof trackedObject === 'function' ? trackedObject : () => trackedObject || null;
+        this._obj = null;
         this._offset = opts.offset || new THREE.Vector3(0, 30, 0); // vertical offset above object
+        this._maxDistance = typeof opts.maxDistance === 'number' ? opts.maxDistance : Infinity;
         this._max = opts.max || 100;
         this._cur = this._max;
 
@@ -17,14 +20,17 @@ export class WorldSpaceHealthBar {
         this._root.innerHTML = `<div class="ws-fill"></div>`;
         document.body.appendChild(this._root);
 
-        // Minimal styling
-        const css = document.createElement('style');
-        css.textContent = `
+        // Minimal styling, shared by every bar
+        if (!document.getElementById('ws-hp-style')) {
+            const css = document.createElement('style');
+            css.id = 'ws-hp-style';
+            css.textContent = `
       .ws-hp { position: fixed; width: 80px; height: 8px; border-radius: 4px;
                background: rgba(0,0,0,0.55); overflow: hidden; transform: translate(-50%, -50%); z-index: 9998; }
       .ws-hp .ws-fill { height: 100%; width: 100%; background: linear-gradient(90deg, #f66, #fb3); }
     `;
-        document.head.appendChild(css);
+            document.head.appendChild(css);
+        }
 
         this._fill = this._root.querySelector('.ws-fill');
         this._v = new THREE.Vector3();
@@ -40,7 +46,11 @@ export class WorldSpaceHealthBar {
 
     // Position bar over the tracked object
     update() {
-        if (!this._obj) return;
+        this._obj = this._getObj ? this._getObj() : null;
+        if (!this._obj || this._cur <= 0 || this._obj.position.distanceTo(this._cam.position) > this._maxDistance) {
+            this._root.style.display = 'none';
+            return;
+        }
         this._v.copy(this._obj.position).add(this._offset).project(this._cam);
 
         const w = this._r.domElement.clientWidth;
@@ -62,5 +72,6 @@ export class WorldSpaceHealthBar {
     dispose() {
         this._root.remove();
         this._obj = null;
+        this._getObj = null;
     }
 }
@@ -1,27 +1,55 @@
 // Main.js
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.118/build/three.module.js';
 import { BasicCharacterController } from './CharacterController.js';
-import { ThirdPersonCamera } from './Camera.js';
+import { ThirdPersonCamera, FirstPersonCamera, DeathCamera } from './Camera.js';
 import { Terrain } from './Terrain.js';
-import { EnemyController } from './EnemyController.js';
+import { EnemyManager } from './EnemyManager.js';
 import { HUD } from './HUD.js';
 import { Minimap } from './Minimap.js';
+import { AssetCache } from './AssetCache.js';
+import { LoadingScreen } from './LoadingScreen.js';
+import { PauseMenu } from './PauseMenu.js';
+import { Settings } from './Settings.js';
+import { SettingsPanel } from './SettingsPanel.js';
+import { InputManager, keyLabel } from './Input.js';
+import { EnemyFactory } from './EnemyArchetypes.js';
+import { hasLineOfSight } from './Perception.js';
+import { AudioManager } from './AudioManager.js';
+import { Flashlight } from './Flashlight.js';
+import { ITEM_TYPES, Inventory } from './Items.js';
+import { InventoryUI } from './InventoryUI.js';
+
+// Right stick orbit speed in mouse pixels per second
+const STICK_LOOK_PIXELS = 1200;
+
+// Reach for picking items up and for doors, in world units. Doors are measured to the doorway center
+const INTERACT_RADIUS = 20;
+const DOOR_REACH = 40;
+// Items within this distance and in line of sight are marked on the minimap
+const ITEM_SIGHT_RANGE = 250;
+const ITEM_SCAN_INTERVAL = 0.25;
+
+// Enemy types, one JSON definition each. Their models join the preload list
+const ENEMY_ARCHETYPES = ['hunter', 'stalker', 'sprinter', 'screamer'].map(n => `./resources/enemies/${n}.json`);
 
 class EscapeBackrooms {
     constructor() { this._Initialize(); }
 
     _Initialize() {
+        this._settings = new Settings();
+        const settings = this._settings;
+
         this._threejs = new THREE.WebGLRenderer({ antialias: true });
         this._threejs.outputEncoding = THREE.sRGBEncoding;
         this._threejs.shadowMap.enabled = true;
         this._threejs.shadowMap.type = THREE.PCFSoftShadowMap;
-        this._threejs.setPixelRatio(window.devicePixelRatio);
+        this._threejs.setPixelRatio(window.devicePixelRatio * settings.get('renderScale'));
         this._threejs.setSize(window.innerWidth, window.innerHeight);
         document.body.appendChild(this._threejs.domElement);
 
         window.addEventListener('resize', () => this._OnWindowResize(), false);
 
-        const fov = 60, aspect = 1920 / 1080, near = 1.0, far = 2000.0;
+        const fov = settings.get('fov'), aspect = 1920 / 1080, near = 1.0, far = 2000.0;
         this._camera = new THREE.PerspectiveCamera(fov, aspect, near, far);
         this._scene = new THREE.Scene();
 
@@ -36,20 +64,116 @@ class EscapeBackrooms {
         sky.encoding = THREE.sRGBEncoding;
         this._scene.background = sky;
 
+        // Shared by every run, so restarting does not download models and textures again
+        this._assets = new AssetCache();
+        this._loading = new LoadingScreen();
+        this._assets.onProgress = (url, loaded, total) => this._loading.setProgress(loaded, total, url);
+        this._assets.onError = (url) => this._failLoad(url);
+        this._enemyTypes = new EnemyFactory({ assets: this._assets });
+        this._enemyTypes.onError = (url, message) => this._failLoad(url, message);
+        this._frustum = new THREE.Frustum();
+        this._viewProjection = new THREE.Matrix4();
+
+        // Sound. The listener rides on the camera; browsers only start audio after a gesture
+        this._audio = new AudioManager({ camera: this._camera, assets: this._assets, volume: settings.get('masterVolume') });
+        this._audio.setChannelVolume('effects', settings.get('effectsVolume'));
+        this._audio.setChannelVolume('ambience', settings.get('ambienceVolume'));
+        for (const type of ['pointerdown', 'keydown']) window.addEventListener(type, () => this._audio.unlock());
+
         // HUD
         this._hud = new HUD();
-        this._hud.setMax(100);
-        this._hud.set(100);
+        this._inventoryUI = new InventoryUI();
+
+        this._mixers = [];
+        this._previousRAF = null;
+        this._rafHandle = 0;
+
+        // Named actions with persisted bindings, polled once per frame in _RAF
+        this._input = new InputManager();
+
+        // Camera view, kept across restarts
+        this._firstPerson = false;
+
+        // Pause freezes _Step; rendering continues so the menu sits over the scene
+        this._paused = false;
+        this._pauseMenu = new PauseMenu({
+            onResume: () => this.resume(),
+            onRestart: () => this.restart({ sameMaze: true }),
+            onSettings: () => {
+                this._pauseMenu.hide();
+                this._settingsPanel.show();
+            },
+            onQuit: () => this._quitToTitle(),
+        });
+        this._settingsPanel = new SettingsPanel({
+            settings,
+            input: this._input,
+            onClose: () => { if (this._paused) this._pauseMenu.show(); },
+        });
+        settings.onChange((key, value) => this._applySetting(key, value));
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.pause();
+        });
+
+        // Mouse look: clicking the canvas locks the pointer, losing the lock pauses
+        this._threejs.domElement.addEventListener('click', () => this._lockPointer());
+        document.addEventListener('pointerlockchange', () => {
+            if (!document.pointerLockElement && this._settings.get('mouseLook')) this.pause();
+        });
 
-        // Terrain and spawn
-        this._terrain = new Terrain(this._scene, { shadowBudget: 3 });
+        this._createWinOverlay();
+        this._createLoseOverlay();
+        this._createTitleOverlay();
+
+        // ?seed=<n> reproduces a maze. The loop starts once every required file is in;
+        // the enemy definitions come first since they name the enemy models
+        const seedParam = new URLSearchParams(window.location.search).get('seed');
+        this._enemyTypes.load(ENEMY_ARCHETYPES).then((ok) => {
+            if (!ok) return false;
+            // Sound files are optional, so they never hold the run back for long
+            return Promise.all([this._assets.preload(this._requiredAssets()), this._audio.load()]).then(([ready]) => ready);
+        }).then((ok) => {
+            if (!ok) return;
+            this._loading.hide();
+            this._BuildRun(seedParam ?? undefined);
+        });
+    }
+
+    _requiredAssets() {
+        const lists = [
+            Terrain.requiredAssets(),
+            BasicCharacterController.requiredAssets(),
+            this._enemyTypes.requiredAssets(),
+        ];
+        return {
+            textures: lists.flatMap(l => l.textures || []),
+            fbx: lists.flatMap(l => l.fbx || []),
+        };
+    }
+
+    // A required file is missing or invalid: stop the run and name the file
+    _failLoad(url, detail) {
+        this._stopLoopAndInput();
+        this._loading.showError(url, detail);
+    }
+
+    // Terrain, player, enemies and minimap for one run, then start the loop
+    _BuildRun(seed) {
+        const settings = this._settings;
+        this._terrain = new Terrain(this._scene, { shadowBudget: settings.get('shadowBudget'), seed, assets: this._assets });
+        this._seed = this._terrain.getSeed();
         this._spawn = this._terrain.getFirstRoomCenter();
 
+        this._hud.setMax(100);
+        this._hud.set(100);
+
         this._minimap = new Minimap({
             terrain: this._terrain,
-            size: 220,
+            size: settings.get('minimapSize'),
+            visible: settings.get('showMinimap'),
             getPlayer: () => this._controls?._target ?? null,
-            getEnemies: () => this._enemy && this._enemy.object3D ? [this._enemy.object3D] : [],
+            getEnemies: () => this._enemies ? this._enemies.getObjects() : [],
+            getItems: () => this._seenItems ? [...this._seenItems.values()].map(i => ({ x: i.x, z: i.z, color: ITEM_TYPES[i.type].color })) : [],
             theme: {
             }
         });
@@ -58,43 +182,171 @@ class EscapeBackrooms {
         this._camera.position.set(this._spawn.x, this._spawn.y + 20, this._spawn.z + 50);
         this._camera.lookAt(this._spawn);
 
-        this._mixers = [];
-        this._previousRAF = null;
-        this._rafHandle = 0;
-
         // Game state
         this._portalSpawned = false;
         this._gameWon = false;
         this._gameLost = false;
+        this._paused = false;
+        // Set while the death sequence plays; the lose overlay follows it
+        this._deathCamera = null;
+        this._deathSettled = false;
+        this._playerHp = null;     // last reported, so only losses sting
+
+        // Carried items and the ones spotted so far (id -> {type, x, z}), both per run
+        this._inventory = new Inventory({ onChange: (inv) => this._RenderInventory(inv) });
+        this._RenderInventory(this._inventory);
+        this._seenItems = new Map();
+        this._itemScanTimer = 0;
+        this._nearItem = null;
+        this._nearDoor = null;
 
         this._LoadPlayer();
-        this._SpawnEnemy();
-
-        // Debug hotkeys
-        this._onKey = (e) => {
-            if (this._gameWon || this._gameLost) return;
-            if (e.code === 'KeyH') this._controls && this._controls.damage(7);
-            if (e.code === 'KeyJ') this._controls && this._controls.heal(7);
-            if (e.code === 'KeyP') {
-                const pos = this._controls?._target?.position ?? this._spawn;
-                if (pos) {
-                    this._terrain.spawnPortalAtFurthest(pos, { radius: 30, tube: 6, y: 0 });
-                    this._portalSpawned = true;
-                }
-            }
-        };
-        document.addEventListener('keydown', this._onKey);
-
-        this._createWinOverlay();
-        this._createLoseOverlay();
+        this._CreateEnemyManager();
+        this._audio.attachWorld({
+            scene: this._scene,
+            terrain: this._terrain,
+            getEnemies: () => this._enemies ? this._enemies.getEnemies() : [],
+        });
+        this._audio.setPaused(false);
 
+        this._previousRAF = null;
         this._RAF();
     }
 
+    _DisposeRun() {
+        this._audio.detachWorld();
+        if (this._enemies) this._enemies.dispose();
+        if (this._controls) this._controls.dispose();
+        if (this._terrain) this._terrain.dispose();
+        if (this._minimap) this._minimap.dispose();
+        this._enemies = null;
+        this._controls = null;
+        this._terrain = null;
+        this._minimap = null;
+        this._thirdPersonCamera = null;
+        this._firstPersonCamera = null;
+        this._deathCamera = null;
+        if (this._flashlight) this._flashlight.dispose();
+        this._flashlight = null;
+        this._seenItems = null;
+        this._nearItem = null;
+        this._nearDoor = null;
+        this._inventoryUI.setPrompt('');
+    }
+
+    /**
+     * Start a new run in place, reusing loaded assets.
+     * sameMaze replays the current seed; otherwise seed picks the maze, or a random one when omitted
+     */
+    restart({ seed, sameMaze = false } = {}) {
+        this._stopLoopAndInput();
+        this._pauseMenu.hide();
+        this._settingsPanel.hide();
+        if (this._winOverlay) this._winOverlay.style.display = 'none';
+        if (this._loseOverlay) this._loseOverlay.style.display = 'none';
+        if (this._titleOverlay) this._titleOverlay.style.display = 'none';
+
+        const next = sameMaze ? this._seed : seed;
+        this._DisposeRun();
+        this._BuildRun(next);
+    }
+
+    // Live settings. Anything not handled here is read again by the next _BuildRun
+    _applySetting(key, value) {
+        const settings = this._settings;
+        switch (key) {
+            case 'renderScale':
+                this._threejs.setPixelRatio(window.devicePixelRatio * value);
+                break;
+            case 'shadowBudget':
+                if (this._terrain) this._terrain.setShadowBudget(value);
+                break;
+            case 'fov':
+                this._camera.fov = value;
+                this._camera.updateProjectionMatrix();
+                break;
+            case 'showMinimap':
+                if (this._minimap) this._minimap.setVisible(value);
+                break;
+            case 'followDistance':
+            case 'followHeight':
+                if (this._thirdPersonCamera) this._thirdPersonCamera.setFollow(settings.get('followDistance'), settings.get('followHeight'));
+                break;
+            case 'turnSensitivity':
+                if (this._controls) this._controls.setTurnSensitivity(value);
+                break;
+            case 'mouseLook':
+                if (this._controls) this._controls.setControlScheme(value ? 'mouse' : 'tank');
+                for (const rig of this._cameraRigs) rig.setMode(value ? 'orbit' : 'follow');
+                if (!value && document.pointerLockElement) document.exitPointerLock();
+                break;
+            case 'masterVolume':
+                this._audio.setVolume(value);
+                break;
+            case 'effectsVolume':
+                this._audio.setChannelVolume('effects', value);
+                break;
+            case 'ambienceVolume':
+                this._audio.setChannelVolume('ambience', value);
+                break;
+            case 'mouseSensitivity':
+            case 'invertMouseY':
+                for (const rig of this._cameraRigs) rig.setLook(settings.get('mouseSensitivity'), settings.get('invertMouseY'));
+                break;
+        }
+    }
+
+    get _cameraRigs() { return [this._thirdPersonCamera, this._firstPersonCamera].filter(Boolean); }
+
+    // The rig driving the camera this frame
+    get _view() { return this._firstPerson ? this._firstPersonCamera : this._thirdPersonCamera; }
+
+    _toggleView() {
+        this._firstPerson = !this._firstPerson;
+        if (this._controls) this._controls.setFirstPerson(this._firstPerson);
+        // Start the new view from the character's heading
+        const view = this._view;
+        if (view) view.setMode(view.mode);
+    }
+
+    // Only a running game can pause
+    get _running() { return !!this._terrain && !this._gameWon && !this._gameLost && !this._deathCamera; }
+
+    pause() {
+        if (this._paused || !this._running) return;
+        this._paused = true;
+        this._audio.setPaused(true);
+        this._pauseMenu.show();
+        if (document.pointerLockElement) document.exitPointerLock();
+    }
+
+    resume() {
+        if (!this._paused) return;
+        this._paused = false;
+        this._audio.setPaused(false);
+        this._pauseMenu.hide();
+        this._lockPointer();
+    }
+
+    _lockPointer() {
+        if (!this._settings.get('mouseLook') || this._paused || !this._running) return;
+        if (document.pointerLockElement !== this._threejs.domElement) this._threejs.domElement.requestPointerLock?.();
+    }
+
+    // Tear the run down and wait on the title screen
+    _quitToTitle() {
+        this._stopLoopAndInput();
+        this._pauseMenu.hide();
+        this._settingsPanel.hide();
+        this._paused = false;
+        this._DisposeRun();
+        this._titleOverlay.style.display = 'flex';
+    }
+
     _createWinOverlay() {
         const css = document.createElement('style');
         css.textContent = `
-      #win-overlay, #lose-overlay {
+      #win-overlay, #lose-overlay, #title-overlay {
         position: fixed;
         inset: 0;
         display: none;
@@ -105,6 +357,7 @@ class EscapeBackrooms {
       }
       #win-overlay { background: rgba(0,0,0,0.82); }
       #lose-overlay { background: rgba(0,0,0,0.9); }
+      #title-overlay { background: #0a0a06; }
       .overlay-title {
         color: #f5f5f5;
         font-family: system-ui, Arial, sans-serif;
@@ -120,8 +373,21 @@ class EscapeBackrooms {
         letter-spacing: 2px;
         opacity: 0.9;
       }
-      .overlay-btn {
+      .overlay-seed {
+        margin-top: 14px;
+        color: #bbb;
+        font-family: system-ui, Arial, sans-serif;
+        font-size: 13px;
+        letter-spacing: 1px;
+        opacity: 0.8;
+      }
+      .overlay-seed a { color: inherit; }
+      .overlay-actions {
+        display: flex;
+        gap: 12px;
         margin-top: 24px;
+      }
+      .overlay-btn {
         padding: 10px 16px;
         border: 1px solid #aaa;
         color: #eee;
@@ -143,10 +409,14 @@ class EscapeBackrooms {
         win.innerHTML = `
       <div class="overlay-title">YOU WON</div>
       <div class="overlay-subtitle">You escaped the backrooms</div>
-      <button class="overlay-btn">Restart</button>
+      <div class="overlay-seed"></div>
+      <div class="overlay-actions">
+        <button class="overlay-btn" data-action="retry">Retry same maze</button>
+        <button class="overlay-btn" data-action="new">New maze</button>
+      </div>
     `;
         document.body.appendChild(win);
-        win.querySelector('.overlay-btn').addEventListener('click', () => location.reload());
+        this._bindRestartButtons(win);
         this._winOverlay = win;
     }
 
@@ -155,20 +425,56 @@ class EscapeBackrooms {
         lose.id = 'lose-overlay';
         lose.innerHTML = `
       <div class="overlay-title">YOU DIED</div>
-      <div class="overlay-subtitle">Press restart to try again</div>
-      <button class="overlay-btn">Restart</button>
+      <div class="overlay-subtitle">Retry this maze or try a new one</div>
+      <div class="overlay-seed"></div>
+      <div class="overlay-actions">
+        <button class="overlay-btn" data-action="retry">Retry same maze</button>
+        <button class="overlay-btn" data-action="new">New maze</button>
+      </div>
     `;
         document.body.appendChild(lose);
-        lose.querySelector('.overlay-btn').addEventListener('click', () => location.reload());
+        this._bindRestartButtons(lose);
         this._loseOverlay = lose;
     }
 
+    _createTitleOverlay() {
+        const title = document.createElement('div');
+        title.id = 'title-overlay';
+        title.innerHTML = `
+      <div class="overlay-title">ESCAPE THE BACKROOMS</div>
+      <div class="overlay-subtitle">Find the portal before they find you</div>
+      <div class="overlay-actions">
+        <button class="overlay-btn" data-action="new">New maze</button>
+      </div>
+    `;
+        document.body.appendChild(title);
+        title.querySelector('[data-action="new"]').addEventListener('click', () => this.restart());
+        this._titleOverlay = title;
+    }
+
+    _bindRestartButtons(overlay) {
+        overlay.querySelector('[data-action="retry"]').addEventListener('click', () => this.restart({ sameMaze: true }));
+        overlay.querySelector('[data-action="new"]').addEventListener('click', () => this.restart());
+    }
+
+    _fillSeed(overlay) {
+        const el = overlay.querySelector('.overlay-seed');
+        if (!el) return;
+        const url = new URL(window.location.href);
+        url.searchParams.set('seed', String(this._seed));
+        el.innerHTML = `Seed ${this._seed} &middot; <a href="${url.href}">link to this maze</a>`;
+    }
+
     _showWinOverlay() {
-        if (this._winOverlay) this._winOverlay.style.display = 'flex';
+        if (!this._winOverlay) return;
+        this._fillSeed(this._winOverlay);
+        this._winOverlay.style.display = 'flex';
     }
 
     _showLoseOverlay() {
-        if (this._loseOverlay) this._loseOverlay.style.display = 'flex';
+        if (!this._loseOverlay) return;
+        this._fillSeed(this._loseOverlay);
+        this._loseOverlay.style.display = 'flex';
     }
 
     _stopLoopAndInput() {
@@ -176,7 +482,8 @@ class EscapeBackrooms {
             cancelAnimationFrame(this._rafHandle);
             this._rafHandle = 0;
         }
-        document.removeEventListener('keydown', this._onKey);
+        this._audio.setPaused(true);
+        if (document.pointerLockElement) document.exitPointerLock();
     }
 
     _winGame() {
@@ -193,19 +500,45 @@ class EscapeBackrooms {
         this._showLoseOverlay();
     }
 
+    // The player is down: the camera leaves the body, input stops, the overlay waits
+    _BeginDeath() {
+        if (this._deathCamera || this._gameWon || this._gameLost) return;
+        this._controls.setFirstPerson(false);
+        this._deathCamera = new DeathCamera({
+            camera: this._camera,
+            target: this._controls,
+            queryColliders: (minX, maxX, minZ, maxZ, out) => this._terrain.queryColliders(minX, maxX, minZ, maxZ, out),
+            ceilingHeight: this._terrain.getCeilingHeight(),
+        });
+        this._nearItem = null;
+        this._nearDoor = null;
+        this._inventoryUI.setPrompt('');
+        if (document.pointerLockElement) document.exitPointerLock();
+    }
+
     _LoadPlayer() {
         const params = {
             camera: this._camera,
             scene: this._scene,
             startPosition: this._spawn.clone(),
+            assets: this._assets,
+            input: this._input,
             colliders: this._terrain.getColliders(),
+            queryColliders: (minX, maxX, minZ, maxZ, out) => this._terrain.queryColliders(minX, maxX, minZ, maxZ, out),
             getHeightAt: (x, z) => this._terrain.getHeightAt(x, z),
+            getEnemies: () => this._enemies ? this._enemies.getEnemies() : [],
+            turnSensitivity: this._settings.get('turnSensitivity'),
+            controlScheme: this._settings.get('mouseLook') ? 'mouse' : 'tank',
+            getCameraYaw: () => this._view ? this._view.yaw : 0,
+            firstPerson: this._firstPerson,
+            onDeath: () => { this._deathSettled = true; },
+            onStaminaChange: (stamina, max, exhausted) => this._hud.setStamina(stamina, max, exhausted),
             onHpChange: (hp, max) => {
                 this._hud.setMax(max);
                 this._hud.set(hp);
-                if (!this._gameWon && !this._gameLost && hp <= 0) {
-                    this._loseGame();
-                }
+                if (this._playerHp !== null && hp < this._playerHp) this._audio.play('hurt');
+                this._playerHp = hp;
+                if (hp <= 0) this._BeginDeath();
             },
         };
         this._controls = new BasicCharacterController(params);
@@ -215,42 +548,68 @@ class EscapeBackrooms {
         this._thirdPersonCamera = new ThirdPersonCamera({
             camera: this._camera,
             target: this._controls,
+            followDistance: this._settings.get('followDistance'),
+            followHeight: this._settings.get('followHeight'),
+            mode: this._settings.get('mouseLook') ? 'orbit' : 'follow',
+            sensitivity: this._settings.get('mouseSensitivity'),
+            invertY: this._settings.get('invertMouseY'),
+            queryColliders: (minX, maxX, minZ, maxZ, out) => this._terrain.queryColliders(minX, maxX, minZ, maxZ, out),
+            ceilingHeight: this._terrain.getCeilingHeight(),
+        });
+        this._firstPersonCamera = new FirstPersonCamera({
+            camera: this._camera,
+            target: this._controls,
+            mode: this._settings.get('mouseLook') ? 'orbit' : 'follow',
+            sensitivity: this._settings.get('mouseSensitivity'),
+            invertY: this._settings.get('invertMouseY'),
         });
-    }
 
-    _SpawnEnemy() {
-        const enemyPos = this._terrain.getRoomCenterAtSteps(3);
-        enemyPos.y = 0;
+        this._flashlight = new Flashlight({
+            scene: this._scene,
+            onBatteryChange: (battery, max, on) => this._hud.setBattery(battery, max, on),
+        });
+        this._terrain.setPlayerLight(this._flashlight.light, () => this._flashlight?.isOn ?? false);
+        this._flashDir = new THREE.Vector3();
+        this._flashOrigin = new THREE.Vector3();
+    }
 
-        this._enemy = new EnemyController({
+    _CreateEnemyManager() {
+        this._enemies = new EnemyManager({
             scene: this._scene,
-            startPosition: enemyPos,
-            colliders: this._terrain.getColliders(),
-            radius: 8,
-            targetRadius: 5,
-            aggroRange: 450,
-            attackMargin: 1.0,
-            speedWalk: 22,
-            speedRun: 40,
-            getTargetPosition: () => this._controls?._target?.position.clone() ?? this._camera.position.clone(),
+            terrain: this._terrain,
+            renderer: this._threejs,
+            camera: this._camera,
+            getPlayerPosition: () => this._controls?._target?.position ?? null,
             onHitPlayer: (dmg) => this._controls && this._controls.damage(dmg),
-
-            attackDamage: 30,
-            attackCooldown: 0.5,
-            minAttackHold: 0.2,
-            attackHysteresis: 10,
-
-            fbxPath: './resources/enemy/',
-            modelFile: 'enemy.fbx',
-            idleFile: 'idle.fbx',
-            walkFile: 'walk.fbx',
-            runFile: 'run.fbx',
-            attackFile: 'attack.fbx',
-            scale: 0.13,
-            hpMax: 60,
+            minSpawnSteps: 3,
+
+            // Stats, models and behavior come from the archetype files
+            factory: this._enemyTypes,
+            enemyParams: {
+                assets: this._assets,
+                colliders: this._terrain.getColliders(),
+                queryColliders: (minX, maxX, minZ, maxZ, out) => this._terrain.queryColliders(minX, maxX, minZ, maxZ, out),
+                targetRadius: 5,
+                getTargetPosition: () => this._controls?._target?.position.clone() ?? this._camera.position.clone(),
+                getTargetNoise: () => this._controls ? this._controls.Noise : 0,
+                // A lit flashlight gives the player away in the dark
+                getVisibility: (x, z) => Math.max(this._terrain.getVisibilityAt(x, z), this._flashlight?.isLit ? 0.8 : 0),
+                findPath: (from, to) => this._terrain.findPath(from, to),
+                isObserved: (pos) => this._isInPlayerView(pos),
+            },
         });
     }
 
+    // On screen and not behind a wall, as seen from the camera
+    _isInPlayerView(pos) {
+        const cam = this._camera;
+        this._viewProjection.multiplyMatrices(cam.projectionMatrix, cam.matrixWorldInverse);
+        this._frustum.setFromProjectionMatrix(this._viewProjection);
+        if (!this._frustum.containsPoint(pos)) return false;
+        return hasLineOfSight(cam.position.x, cam.position.z, pos.x, pos.z,
+            (minX, maxX, minZ, maxZ, out) => this._terrain.queryColliders(minX, maxX, minZ, maxZ, out));
+    }
+
     _OnWindowResize() {
         this._camera.aspect = window.innerWidth / window.innerHeight;
         this._camera.updateProjectionMatrix();
@@ -265,25 +624,170 @@ class EscapeBackrooms {
             this._threejs.render(this._scene, this._camera);
 
             if (!this._gameWon && !this._gameLost) {
-                this._Step(t - this._previousRAF);
+                this._input.update();
+                this._HandleActions();
+
+                // Paused frames still advance the clock, so resuming steps one frame, not the whole pause
+                if (!this._paused) this._Step(t - this._previousRAF);
                 this._previousRAF = t;
                 this._RAF();
             }
         });
     }
 
+    // Menu and debug actions. Runs while paused so pause can toggle back
+    _HandleActions() {
+        const input = this._input;
+        if (input.pressed('pause')) {
+            if (this._settingsPanel.visible) {
+                this._settingsPanel.hide();
+                this._pauseMenu.show();
+            } else if (this._paused) this.resume();
+            else this.pause();
+            return;
+        }
+        if (this._paused || this._deathCamera) return;
+
+        if (input.pressed('toggleView')) this._toggleView();
+        if (input.pressed('flashlight')) this._flashlight && this._flashlight.toggle();
+        if (input.pressed('interact')) this._Interact();
+        if (input.pressed('useItem')) this._UseItem(this._inventory.selected);
+        if (input.pressed('nextItem')) this._inventory.selectNext();
+        if (input.pressed('debugDamage')) this._controls && this._controls.damage(7);
+        if (input.pressed('debugHeal')) this._controls && this._controls.heal(7);
+        if (input.pressed('debugPortal')) {
+            const pos = this._controls?._target?.position ?? this._spawn;
+            if (pos) {
+                this._terrain.spawnPortalAtFurthest(pos, { radius: 30, tube: 6, y: 0 });
+                this._portalSpawned = true;
+            }
+        }
+    }
+
+    _RenderInventory(inv) {
+        this._inventoryUI.set(inv.items, inv.selected);
+        const use = this._input.getBinding('useItem').keys[0];
+        const next = this._input.getBinding('nextItem').keys[0];
+        this._inventoryUI.setHint(inv.items.length ? [use && `${keyLabel(use)} use`, next && `${keyLabel(next)} next`].filter(Boolean).join('  ') : '');
+    }
+
+    // An item in reach is picked up first, otherwise the nearest door is worked
+    _Interact() {
+        if (!this._terrain) return;
+        if (this._nearItem) this._PickUp();
+        else if (this._nearDoor) this._UseDoor(this._nearDoor);
+    }
+
+    _PickUp() {
+        const type = this._terrain.takePickup(this._nearItem.id);
+        this._seenItems.delete(this._nearItem.id);
+        this._nearItem = null;
+        if (!type) return;
+        this._inventory.add(type);
+        this._audio.play('pickup');
+    }
+
+    // Open or close a door. A locked one takes a key from the inventory, or rattles
+    _UseDoor(door) {
+        const by = { x: this._controls.Position.x, z: this._controls.Position.z, radius: this._controls.Radius };
+        if (door.state === 'locked') {
+            if (!this._inventory.has('key')) {
+                this._audio.play('locked');
+                return;
+            }
+            if (!this._terrain.setDoorState(door.key, 'open', by)) return;
+            this._inventory.remove('key');
+        } else if (!this._terrain.setDoorState(door.key, door.state === 'open' ? 'closed' : 'open', by)) {
+            return;
+        }
+        this._audio.play('door');
+    }
+
+    // Spend one of the selected item when it would do something. Keys are used by doors
+    _UseItem(type) {
+        const def = ITEM_TYPES[type];
+        if (!def || !this._controls) return;
+        if (type === 'almondWater') {
+            if (this._controls.Hp >= this._controls.HpMax) return;
+            this._controls.heal(def.heal);
+        } else if (type === 'battery') {
+            if (!this._flashlight || this._flashlight.battery >= this._flashlight.batteryMax) return;
+            this._flashlight.addBattery(def.charge);
+        } else {
+            return;
+        }
+        this._inventory.remove(type);
+    }
+
+    // Prompt for the closest item or door in reach, and mark items the player can see
+    _UpdateItems(dt) {
+        const pos = this._controls.Position;
+        this._nearItem = this._terrain.nearestPickup(pos.x, pos.z, INTERACT_RADIUS);
+        this._nearDoor = this._nearItem ? null : this._terrain.nearestDoor(pos.x, pos.z, DOOR_REACH);
+        const key = this._input.getBinding('interact').keys[0];
+        const action = (text) => key ? `${keyLabel(key)}: ${text}` : text;
+        if (this._nearItem) {
+            this._inventoryUI.setPrompt(action(`pick up ${ITEM_TYPES[this._nearItem.type].label}`));
+        } else if (this._nearDoor?.state === 'locked') {
+            this._inventoryUI.setPrompt(this._inventory.has('key') ? action('unlock door (uses a key)') : 'Locked. Needs a key');
+        } else if (this._nearDoor) {
+            this._inventoryUI.setPrompt(action(this._nearDoor.state === 'open' ? 'close door' : 'open door'));
+        } else {
+            this._inventoryUI.setPrompt('');
+        }
+
+        this._itemScanTimer -= dt;
+        if (this._itemScanTimer > 0) return;
+        this._itemScanTimer = ITEM_SCAN_INTERVAL;
+        const colliders = (minX, maxX, minZ, maxZ, out) => this._terrain.queryColliders(minX, maxX, minZ, maxZ, out);
+        for (const item of this._terrain.getPickups()) {
+            if (this._seenItems.has(item.id)) continue;
+            const dx = item.x - pos.x, dz = item.z - pos.z;
+            if (dx * dx + dz * dz > ITEM_SIGHT_RANGE * ITEM_SIGHT_RANGE) continue;
+            if (hasLineOfSight(pos.x, pos.z, item.x, item.z, colliders)) {
+                this._seenItems.set(item.id, { type: item.type, x: item.x, z: item.z });
+            }
+        }
+    }
+
+    // Along the view in first person, ahead of the character and a little down otherwise
+    _AimFlashlight() {
+        const dir = this._flashDir;
+        if (this._firstPerson) {
+            this._camera.getWorldDirection(dir);
+        } else {
+            const yaw = this._view ? this._view.yaw : 0;
+            dir.set(Math.sin(yaw), -0.12, Math.cos(yaw)).normalize();
+        }
+        // Start clear of the head so the body does not shadow its own beam
+        this._flashOrigin.copy(this._controls.HeadPosition).addScaledVector(dir, 4);
+    }
+
     _Step(timeElapsed) {
         const dt = timeElapsed * 0.001;
 
         if (this._mixers) this._mixers.forEach(m => m.update(dt));
+
+        // Orbit first so the character steers toward this frame's heading
+        if (this._view && this._controls?._target && !this._deathCamera) {
+            const look = this._input.look();
+            const stick = STICK_LOOK_PIXELS * dt;
+            this._view.addLook(look.x - this._input.axis('lookX') * stick, look.y - this._input.axis('lookY') * stick);
+        }
         if (this._controls) this._controls.Update(dt);
+        if (this._flashlight && this._controls?._target) {
+            this._AimFlashlight();
+            this._flashlight.Update(dt, this._flashOrigin, this._flashDir);
+        }
+        if (this._terrain && this._controls?._target && !this._deathCamera) this._UpdateItems(dt);
         if (this._terrain) this._terrain.Update(dt);
         if (this._terrain && this._terrain.didShadowSetChange && this._terrain.didShadowSetChange()) {
             // force shadow re-render because the set of casting lights changed
             this._threejs.shadowMap.needsUpdate = true;
             this._terrain.clearShadowSetChanged();
         }
-        if (this._enemy) this._enemy.Update(dt);
+        if (this._enemies) this._enemies.Update(dt);
+        this._audio.Update(dt);
 
         // Spawn portal when player exists
         if (!this._portalSpawned && this._controls && this._controls._target) {
@@ -294,7 +798,7 @@ class EscapeBackrooms {
 
         // Win near portal
         const portal = this._terrain._portal; // or this._terrain.getPortalObject()
-        if (!this._gameWon && !this._gameLost && portal && this._controls && this._controls._target) {
+        if (!this._gameWon && !this._gameLost && !this._deathCamera && portal && this._controls && this._controls._target) {
             const playerPos = this._controls._target.position;
             const center = portal.position;
             const dx = playerPos.x - center.x;
@@ -310,7 +814,12 @@ class EscapeBackrooms {
 
         if (this._minimap) this._minimap.update();
 
-        this._thirdPersonCamera.Update(dt);
+        if (this._deathCamera) {
+            this._deathCamera.Update(dt);
+            if (this._deathCamera.done && this._deathSettled) this._loseGame();
+            return;
+        }
+        this._view.Update(dt);
     }
 }
 
@@ -0,0 +1,132 @@
+// collision.test.js
+// Headless tests for js/Collision.js. Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveOverlaps, sweepCircleRect, moveCircle } from '../js/Collision.js';
+
+// Mirrors of the Terrain.js room constants (Terrain needs three.js, so it is not imported here)
+const WALL_THICK = 2;
+const DOOR_WIDTH = 80;
+const PILLAR_SIZE = 20;
+const R = 5;    // player radius
+
+const box = (minX, maxX, minZ, maxZ) => ({ minX, maxX, minZ, maxZ });
+const close = (a, b, eps = 1e-2) => assert.ok(Math.abs(a - b) <= eps, `${a} is not within ${eps} of ${b}`);
+
+// Wall along X at z = 0, with a DOOR_WIDTH gap centered on x = 0
+const wallWithDoor = () => [
+    box(-150, -DOOR_WIDTH / 2, -WALL_THICK / 2, WALL_THICK / 2),
+    box(DOOR_WIDTH / 2, 150, -WALL_THICK / 2, WALL_THICK / 2),
+];
+
+test('sweepCircleRect hits a face with its normal', () => {
+    const hit = sweepCircleRect(0, -20, 0, 40, R, box(-10, 10, -1, 1));
+    assert.ok(hit);
+    close(hit.t, (-1 - R + 20) / 40);
+    assert.equal(hit.nx, 0);
+    assert.equal(hit.nz, -1);
+});
+
+test('sweepCircleRect rounds corners', () => {
+    const rect = box(0, 10, 0, 10);
+    // Diagonal approach at the corner: stops radius away from it, normal along the diagonal
+    const hit = sweepCircleRect(-10, -10, 10, 10, R, rect);
+    assert.ok(hit);
+    const hx = -10 + 10 * hit.t, hz = -10 + 10 * hit.t;
+    close(Math.hypot(hx, hz), R);
+    close(hit.nx, -Math.SQRT1_2);
+    close(hit.nz, -Math.SQRT1_2);
+    // Grazing past the corner: a square expanded box would catch this, the rounded one does not
+    assert.equal(sweepCircleRect(-9, 1, 6, -6, R, rect), null);
+    assert.equal(sweepCircleRect(-4.9, -4.9, -1, 0, R, rect), null);
+});
+
+test('sweepCircleRect misses when moving away or stopping short', () => {
+    const rect = box(-10, 10, -1, 1);
+    assert.equal(sweepCircleRect(0, -20, 0, -40, R, rect), null);
+    assert.equal(sweepCircleRect(0, -20, 0, 10, R, rect), null);
+});
+
+test('sweepCircleRect blocks a circle that starts overlapping from moving further in', () => {
+    const rect = box(-10, 10, -1, 1);
+    // Face region, already 2 units into the wall
+    const into = sweepCircleRect(0, -4, 0, 20, R, rect);
+    assert.deepEqual(into, { t: 0, nx: 0, nz: -1 });
+    // Leaving is free
+    assert.equal(sweepCircleRect(0, -4, 0, -20, R, rect), null);
+    // Center inside the box: out through the nearest face
+    assert.deepEqual(sweepCircleRect(0, 0.5, 0, -5, R, rect), { t: 0, nx: 0, nz: 1 });
+    // Inside a rounded corner
+    const corner = sweepCircleRect(12, 3, -5, 0, R, rect);
+    assert.ok(corner && corner.t === 0 && corner.nx > 0 && corner.nz > 0);
+});
+
+test('moveCircle slides along a wall', () => {
+    const wall = [box(-100, 100, -WALL_THICK / 2, WALL_THICK / 2)];
+    const out = moveCircle(0, -10, 30, 30, R, wall);
+    assert.ok(out.hit);
+    close(out.x, 30);
+    close(out.z, -WALL_THICK / 2 - R, 0.01);
+});
+
+test('moveCircle passes cleanly through a DOOR_WIDTH gap', () => {
+    const out = moveCircle(0, -50, 0, 100, R, wallWithDoor());
+    assert.equal(out.hit, false);
+    assert.equal(out.x, 0);
+    assert.equal(out.z, 50);
+    // Off center but still clear of the jambs
+    const offset = DOOR_WIDTH / 2 - R - 1;
+    const side = moveCircle(offset, -50, 0, 100, R, wallWithDoor());
+    assert.equal(side.hit, false);
+    assert.equal(side.z, 50);
+});
+
+test('moveCircle stops at a pillar box', () => {
+    const h = PILLAR_SIZE / 2;
+    const pillar = [box(-h, h, 50 - h, 50 + h)];
+    const out = moveCircle(0, 0, 0, 100, R, pillar);
+    assert.ok(out.hit);
+    close(out.x, 0);
+    close(out.z, 50 - h - R);
+});
+
+test('moveCircle does not tunnel through a WALL_THICK wall at run speed on a long frame', () => {
+    const wall = [box(-100, 100, -WALL_THICK / 2, WALL_THICK / 2)];
+    // 400 units per second over a 0.25 s hitch, in one unsubstepped move
+    const out = moveCircle(0, -20, 0, 400 * 0.25, R, wall);
+    assert.ok(out.hit);
+    assert.ok(out.z <= -WALL_THICK / 2 - R + 0.01, `ended at z = ${out.z}`);
+});
+
+test('moveCircle does not carry an overlapping circle through the wall', () => {
+    const wall = [box(-100, 100, -WALL_THICK / 2, WALL_THICK / 2)];
+    const out = moveCircle(0, -4, 0, 20, R, wall);
+    assert.ok(out.z < 0, `ended at z = ${out.z}`);
+    close(out.z, -WALL_THICK / 2 - R);
+});
+
+test('resolveOverlaps pushes out around corners and through the nearest face', () => {
+    const rect = box(0, 10, 0, 10);
+    const corner = resolveOverlaps(-2, -2, R, [rect]);
+    close(Math.hypot(corner.x, corner.z), R);
+    const face = resolveOverlaps(5, 9, R, [rect]);
+    assert.equal(face.x, 5);
+    close(face.z, 10 + R);
+    const clear = resolveOverlaps(-20, -20, R, [rect]);
+    assert.deepEqual(clear, { x: -20, z: -20 });
+});
+
+test('moveCircle accepts a query function as the collider source', () => {
+    const rects = wallWithDoor();
+    let queries = 0;
+    const query = (minX, maxX, minZ, maxZ, out) => {
+        queries++;
+        out.length = 0;
+        for (const r of rects) if (r.maxX >= minX && r.minX <= maxX && r.maxZ >= minZ && r.minZ <= maxZ) out.push(r);
+        return out;
+    };
+    const out = moveCircle(-100, -20, 0, 40, R, query);
+    assert.ok(out.hit);
+    assert.ok(queries > 0);
+    close(out.z, -WALL_THICK / 2 - R);
+});
@@ -0,0 +1,79 @@
+// pathfinding.test.js
+// Headless tests for the room graph search in js/Pathfinding.js. Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PLAYER_BLOCKED, WALKER_BLOCKED, findRoomPath } from '../js/Pathfinding.js';
+import { roomKey, doorKey } from '../js/ChunkLayout.js';
+
+// Mirror of the Terrain.js room size (Terrain needs three.js, so it is not imported here)
+const ROOM_SIZE = 300;
+
+// Rooms by key and an undirected graph from [i, j] cells and [[i1, j1], [i2, j2]] doorways
+const layout = (cells, links) => {
+    const rooms = new Map();
+    const graph = new Map();
+    for (const [i, j] of cells) {
+        const key = roomKey(i, j);
+        rooms.set(key, { i, j, cx: i * ROOM_SIZE, cz: j * ROOM_SIZE, key });
+        graph.set(key, []);
+    }
+    for (const [[i1, j1], [i2, j2]] of links) {
+        graph.get(roomKey(i1, j1)).push(roomKey(i2, j2));
+        graph.get(roomKey(i2, j2)).push(roomKey(i1, j1));
+    }
+    return { rooms, graph };
+};
+
+// An L of rooms: (0,0) - (1,0) - (2,0), then north to (2,1)
+const corridor = () => layout(
+    [[0, 0], [1, 0], [2, 0], [2, 1]],
+    [[[0, 0], [1, 0]], [[1, 0], [2, 0]], [[2, 0], [2, 1]]]
+);
+
+test('findRoomPath crosses rooms with approach points either side of each door', () => {
+    const { rooms, graph } = corridor();
+    const path = findRoomPath(rooms, graph, new Map(), '0,0', '2,1', { x: 610, z: 320 }, { approach: 30 });
+    assert.deepEqual(path, [
+        { x: 120, z: 0 }, { x: 180, z: 0 },
+        { x: 420, z: 0 }, { x: 480, z: 0 },
+        // The path turns north in (2,0), so it goes through the room center first
+        { x: 600, z: 0 },
+        { x: 600, z: 120 }, { x: 600, z: 180 },
+        { x: 610, z: 320 },
+    ]);
+});
+
+test('findRoomPath within one room goes straight to the destination', () => {
+    const { rooms, graph } = corridor();
+    const path = findRoomPath(rooms, graph, new Map(), '1,0', '1,0', { x: 340, z: 25 }, { approach: 30 });
+    assert.deepEqual(path, [{ x: 340, z: 25 }]);
+});
+
+test('findRoomPath returns null when the goal room is unreachable', () => {
+    const { rooms, graph } = layout([[0, 0], [1, 0], [5, 5]], [[[0, 0], [1, 0]]]);
+    assert.equal(findRoomPath(rooms, graph, new Map(), '0,0', '5,5', { x: 1500, z: 1500 }), null);
+});
+
+test('findRoomPath routes walkers around closed and locked doors, the player only around locked ones', () => {
+    // A square of rooms: the short way from (0,0) to (1,0) is one door, the long way three
+    const { rooms, graph } = layout(
+        [[0, 0], [1, 0], [0, 1], [1, 1]],
+        [[[0, 0], [1, 0]], [[0, 0], [0, 1]], [[0, 1], [1, 1]], [[1, 1], [1, 0]]]
+    );
+    const to = { x: 300, z: 0 };
+    const doors = new Map([[doorKey(0, 0, 1, 0), { state: 'closed' }]]);
+
+    const walker = findRoomPath(rooms, graph, doors, '0,0', '1,0', to, { blocked: WALKER_BLOCKED });
+    assert.ok(walker.some(p => p.z > 0), 'walker should go around through the north rooms');
+    const player = findRoomPath(rooms, graph, doors, '0,0', '1,0', to, { blocked: PLAYER_BLOCKED });
+    assert.deepEqual(player, [{ x: 150, z: 0 }, to]);
+
+    // Locked on the long way too: the walker has no route left, the player still has the closed door
+    doors.set(doorKey(0, 1, 1, 1), { state: 'locked' });
+    assert.equal(findRoomPath(rooms, graph, doors, '0,0', '1,0', to, { blocked: WALKER_BLOCKED }), null);
+    assert.deepEqual(findRoomPath(rooms, graph, doors, '0,0', '1,0', to, { blocked: PLAYER_BLOCKED }), player);
+
+    // Locking the short door as well shuts the player out
+    doors.set(doorKey(0, 0, 1, 0), { state: 'locked' });
+    assert.equal(findRoomPath(rooms, graph, doors, '0,0', '1,0', to, { blocked: PLAYER_BLOCKED }), null);
+});
@@ -0,0 +1,85 @@
+// perception.test.js
+// Headless tests for js/Perception.js. Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Perception, hasLineOfSight } from '../js/Perception.js';
+
+// Mirrors of the Terrain.js room constants (Terrain needs three.js, so it is not imported here)
+const WALL_THICK = 2;
+const DOOR_WIDTH = 80;
+
+const box = (minX, maxX, minZ, maxZ) => ({ minX, maxX, minZ, maxZ });
+
+// Wall along X at z = 0, with a DOOR_WIDTH gap centered on x = 0
+const wallWithDoor = () => [
+    box(-300, -DOOR_WIDTH / 2, -WALL_THICK / 2, WALL_THICK / 2),
+    box(DOOR_WIDTH / 2, 300, -WALL_THICK / 2, WALL_THICK / 2),
+];
+
+// Point at dist from the origin, angle radians off +Z (yaw 0 forward)
+const at = (dist, angle) => [Math.sin(angle) * dist, Math.cos(angle) * dist];
+
+test('hasLineOfSight is blocked by a wall rect and clear through the doorway gap', () => {
+    const walls = wallWithDoor();
+    assert.equal(hasLineOfSight(-150, -100, -150, 100, walls), false);
+    assert.equal(hasLineOfSight(0, -100, 0, 100, walls), true);
+    // Slanted through the gap, clear of both jambs
+    assert.equal(hasLineOfSight(-30, -100, 30, 100, walls), true);
+    // Slanted enough to clip a jamb
+    assert.equal(hasLineOfSight(-150, -100, 50, 100, walls), false);
+    assert.equal(hasLineOfSight(0, -100, 0, 100, []), true);
+});
+
+test('Perception sees inside the view cone and not past its edge', () => {
+    const p = new Perception({ viewAngle: Math.PI / 2 });
+    const inside = at(200, Math.PI / 4 - 0.02);
+    const outside = at(200, Math.PI / 4 + 0.02);
+    assert.equal(p.update(0.1, 0, 0, 0, ...inside).canSee, true);
+    assert.equal(p.update(0.1, 0, 0, 0, ...outside).canSee, false);
+    // Turning toward it brings it into view
+    assert.equal(p.update(0.1, 0, 0, 0.1, ...outside).canSee, true);
+    // In the cone but past viewRange
+    assert.equal(p.update(0.1, 0, 0, 0, 0, 500).canSee, false);
+});
+
+test('Perception notices anything within senseRange whatever the cone, but not through a wall', () => {
+    const p = new Perception({ viewAngle: Math.PI / 2, senseRange: 40 });
+    assert.equal(p.update(0.1, 0, 0, 0, 0, -30).canSee, true);
+    assert.equal(p.update(0.1, 0, 0, 0, 0, -50).canSee, false);
+
+    const walled = new Perception({ colliders: [box(-50, 50, -11, -9)], senseRange: 40 });
+    assert.equal(walled.update(0.1, 0, 0, 0, 0, -30).canSee, false);
+});
+
+test('Perception hears a sound through a wall at a muffled radius', () => {
+    const walls = wallWithDoor();
+    // Facing away (-Z) from targets at +Z, so only hearing can pick them up
+    const yaw = Math.PI;
+    const p = new Perception({ colliders: walls, muffle: 0.5 });
+    const noise = 200;
+
+    // Open air through the doorway: heard at the full radius
+    assert.ok(p.update(0.1, 0, -75, yaw, 0, 75, noise).heard);
+    // Same distance through the wall: out of the halved radius
+    assert.equal(p.update(0.1, -150, -75, yaw, -150, 75, noise).heard, null);
+    // Closer through the wall: inside the halved radius
+    assert.deepEqual(p.update(0.1, -150, -40, yaw, -150, 40, noise).heard, { x: -150, z: 40 });
+    // Silent targets are never heard
+    assert.equal(p.update(0.1, 0, -75, yaw, 0, 75, 0).heard, null);
+});
+
+test('Perception forgets the last known position after memory seconds', () => {
+    const p = new Perception({ memory: 2 });
+    p.update(0.1, 0, 0, 0, 0, 100);
+    assert.deepEqual(p.lastKnown, { x: 0, z: 100 });
+
+    // Target walks out of range; the last sighting is kept while fresh
+    p.update(1.5, 0, 0, 0, 0, 2000);
+    assert.equal(p.canSee, false);
+    assert.deepEqual(p.lastKnown, { x: 0, z: 100 });
+    p.update(0.4, 0, 0, 0, 0, 2000);
+    assert.deepEqual(p.lastKnown, { x: 0, z: 100 });
+    p.update(0.2, 0, 0, 0, 0, 2000);
+    assert.equal(p.lastKnown, null);
+    assert.ok(p.timeSinceKnown > 2);
+});
@@ -0,0 +1,38 @@
+// spatialhash.test.js
+// Headless tests for js/SpatialHash.js. Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpatialHash } from '../js/SpatialHash.js';
+
+const box = (minX, maxX, minZ, maxZ) => ({ minX, maxX, minZ, maxZ });
+
+test('query returns a rect spanning several cells once', () => {
+    const hash = new SpatialHash(100);
+    const wide = box(-250, 250, -5, 5);
+    const small = box(10, 20, 10, 20);
+    hash.insert(wide);
+    hash.insert(small);
+    const out = hash.query(-300, 300, -50, 50);
+    assert.equal(out.length, 2);
+    assert.ok(out.includes(wide) && out.includes(small));
+    // And again, with the result array reused
+    assert.equal(hash.query(-300, 300, -50, 50, out).length, 2);
+});
+
+test('query leaves the stored rects untouched', () => {
+    const hash = new SpatialHash(100);
+    const rect = box(-150, 150, -150, 150);
+    hash.insert(rect);
+    hash.query(-200, 200, -200, 200);
+    assert.deepEqual(Object.keys(rect), ['minX', 'maxX', 'minZ', 'maxZ']);
+});
+
+test('remove drops a rect from every cell it was in', () => {
+    const hash = new SpatialHash(100, -50);
+    const rect = box(-120, 120, -10, 10);
+    hash.insert(rect);
+    assert.equal(hash.size, 1);
+    hash.remove(rect);
+    assert.equal(hash.size, 0);
+    assert.deepEqual(hash.query(-500, 500, -500, 500), []);
+});